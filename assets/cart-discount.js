@@ -1,9 +1,38 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
-import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { ThemeEvents, CartUpdateEvent, DiscountUpdateEvent } from '@theme/events';
+import { fetchConfig, formatCents } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
 
+/**
+ * How long the customer can undo the removal of a discount code, in milliseconds.
+ */
+const UNDO_DURATION = 8000;
+
+/**
+ * @typedef {object} DiscountApplication
+ * @property {string} type - The type of the discount, e.g. `discount_code` or `automatic`.
+ * @property {string} title - The code, for discount codes.
+ * @property {number} [total_allocated_amount] - The amount taken off the cart, in cents.
+ */
+
+/**
+ * @typedef {object} DiscountCart
+ * @property {{ code: string, applicable: boolean }[]} discount_codes
+ * @property {DiscountApplication[]} [cart_level_discount_applications]
+ * @property {{ line_level_discount_allocations?: { amount: number, discount_application: DiscountApplication }[] }[]} [items]
+ * @property {Record<string, string>} [sections]
+ */
+
+/**
+ * Why a discount code can't be applied:
+ * - `discount_code`: the code doesn't exist, or doesn't apply to the items in the cart.
+ * - `shipping`: the code takes off shipping, which is only known at checkout.
+ * - `combination`: the code can't be combined with the other codes of the cart.
+ * - `minimum`: the code applied before, but the cart no longer meets its requirements, like a minimum subtotal.
+ * @typedef {'discount_code' | 'shipping' | 'combination' | 'minimum'} DiscountErrorType
+ */
+
 /**
  * A custom element that applies a discount to the cart.
  *
@@ -11,6 +40,12 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement} cartDiscountError - The error element.
  * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
  * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLElement} [cartDiscountErrorCombination] - The combination error element, with a `data-template`.
+ * @property {HTMLElement} [cartDiscountErrorMinimum] - The minimum requirement error element, with a `data-template`.
+ * @property {HTMLElement[]} [discountAmounts] - The amounts saved with each code, with their `data-discount-code`.
+ * @property {HTMLTemplateElement} [moneyFormat] - The money format of the cart.
+ * @property {HTMLElement} [undo] - Offers to apply a removed code again.
+ * @property {HTMLElement} [undoMessage] - Names the removed code, with a `data-template`.
  */
 
 /**
@@ -22,6 +57,53 @@ class CartDiscount extends Component {
   /** @type {AbortController | null} */
   #activeFetch = null;
 
+  #abortController = new AbortController();
+
+  /**
+   * The code that was just removed, while it can be applied again.
+   * @type {string | null}
+   */
+  #removedCode = null;
+
+  /** @type {number | undefined} */
+  #undoTimeout;
+
+  /**
+   * The codes of the pills, as they were last rendered, in lowercase.
+   * @type {Set<string>}
+   */
+  #renderedCodes = new Set();
+
+  /**
+   * The error shown, kept so it's shown again when the cart is rendered again.
+   * @type {{ type: DiscountErrorType, code: string } | null}
+   */
+  #error = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+
+    this.#renderedCodes = new Set(this.#existingDiscounts().map((code) => code.toLowerCase()));
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderedCodes = new Set(this.#existingDiscounts().map((code) => code.toLowerCase()));
+    this.#renderUndo();
+    if (this.#error) this.#handleDiscountError(this.#error.type, this.#error.code);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    clearTimeout(this.#undoTimeout);
+  }
+
   #createAbortController() {
     if (this.#activeFetch) {
       this.#activeFetch.abort();
@@ -37,8 +119,6 @@ class CartDiscount extends Component {
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -48,17 +128,30 @@ class CartDiscount extends Component {
     const discountCode = form.querySelector('input[name="discount"]');
     if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
 
-    const discountCodeValue = discountCode.value;
+    try {
+      const applied = await this.applyDiscountCode(discountCode.value);
+      if (!applied) discountCode.value = '';
+    } catch (error) {
+    } finally {
+      cartPerformance.measureFromEvent('discount-update:user-action', event);
+    }
+  };
+
+  /**
+   * Applies a discount code to the cart, on top of the codes already applied, and shows why when it can't be.
+   * @param {string} discountCodeValue - The discount code.
+   * @returns {Promise<boolean>} Whether the code is applied, false when it isn't valid for the cart.
+   */
+  async applyDiscountCode(discountCodeValue) {
+    if (typeof this.dataset.sectionId !== 'string') return false;
 
     const abortController = this.#createAbortController();
 
     try {
       const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
+      if (existingDiscounts.includes(discountCodeValue)) return true;
 
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
+      this.#hideDiscountErrors();
 
       const config = fetchConfig('json', {
         body: JSON.stringify({
@@ -72,19 +165,22 @@ class CartDiscount extends Component {
         signal: abortController.signal,
       });
 
+      /** @type {DiscountCart} */
       const data = await response.json();
+      const applicableCodes = getApplicableCodes(data);
+
+      if (!applicableCodes.has(discountCodeValue.toLowerCase())) {
+        const code = data.discount_codes.find((discount) => isSameCode(discount.code, discountCodeValue));
 
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
-        return;
+        if (code?.applicable === false) {
+          // The other codes still apply, so this one can't be combined with them
+          const othersApply = existingDiscounts.some((existing) => applicableCodes.has(existing.toLowerCase()));
+          this.#handleDiscountError(othersApply ? 'combination' : 'discount_code', discountCodeValue);
+          return false;
+        }
       }
 
-      const newHtml = data.sections[this.dataset.sectionId];
+      const newHtml = data.sections?.[this.dataset.sectionId] ?? '';
       const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
       const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
       const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
@@ -98,24 +194,30 @@ class CartDiscount extends Component {
         if (
           codes.length === existingDiscounts.length &&
           codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
+          data.discount_codes.find((discount) => {
             return discount.code === discountCodeValue && discount.applicable === true;
           })
         ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
+          this.#handleDiscountError('shipping', discountCodeValue);
+          return false;
         }
       }
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, newHtml);
-    } catch (error) {
+      this.#renderSavings(data);
+
+      // The new code applies in place of codes it can't be combined with, which the cart no longer applies
+      const replaced = existingDiscounts.filter((existing) =>
+        data.discount_codes.some(({ code, applicable }) => !applicable && isSameCode(code, existing))
+      );
+      if (replaced.length) this.#handleDiscountError('combination', replaced.join(', '));
+
+      return true;
     } finally {
       this.#activeFetch = null;
-      cartPerformance.measureFromEvent('discount-update:user-action', event);
     }
-  };
+  }
 
   /**
    * Handles removing a discount from the cart.
@@ -145,6 +247,7 @@ class CartDiscount extends Component {
     if (index === -1) return;
 
     existingDiscounts.splice(index, 1);
+    this.#hideDiscountErrors();
 
     const abortController = this.#createAbortController();
 
@@ -158,24 +261,133 @@ class CartDiscount extends Component {
         signal: abortController.signal,
       });
 
+      /** @type {DiscountCart} */
       const data = await response.json();
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      morphSection(this.dataset.sectionId, data.sections?.[this.dataset.sectionId] ?? '');
+      this.#renderSavings(data);
+      this.#offerUndo(discountCode);
     } catch (error) {
     } finally {
       this.#activeFetch = null;
     }
   };
 
+  /**
+   * Applies the code that was just removed again.
+   */
+  undoRemoveDiscount = async () => {
+    const code = this.#removedCode;
+    if (!code) return;
+
+    this.#removedCode = null;
+    this.#renderUndo();
+
+    try {
+      await this.applyDiscountCode(code);
+    } catch (error) {}
+  };
+
+  /**
+   * Tells the customer when a code they applied stops applying after the cart changes, e.g. when the cart no
+   * longer meets the minimum subtotal of the code.
+   * @param {CartUpdateEvent} event
+   */
+  #onCartUpdate = (event) => {
+    const cart = /** @type {Partial<DiscountCart>} */ (event.detail.resource ?? {});
+    if (!Array.isArray(cart.discount_codes) || event.detail.data?.didError) return;
+
+    // The pills may already be rendered from the new cart, so the codes are checked against the last rendered ones
+    const lapsed = cart.discount_codes
+      .filter(({ code, applicable }) => !applicable && this.#renderedCodes.has(code.toLowerCase()))
+      .map(({ code }) => code);
+
+    if (lapsed.length) {
+      this.#handleDiscountError('minimum', lapsed.join(', '));
+    } else if (this.#error?.type === 'minimum') {
+      this.#hideDiscountErrors();
+    }
+  };
+
+  /**
+   * Shows the amount each code takes off the cart.
+   * @param {DiscountCart} cart
+   */
+  #renderSavings(cart) {
+    const { discountAmounts = [], moneyFormat } = this.refs;
+    const savings = getDiscountSavings(cart);
+    const template = moneyFormat?.content.textContent || '{{amount}}';
+
+    for (const element of discountAmounts) {
+      const amount = savings.get((element.dataset.discountCode ?? '').toLowerCase());
+
+      element.textContent = amount ? `-${formatCents(amount, template, moneyFormat?.dataset.currency)}` : '';
+    }
+  }
+
+  /**
+   * @param {string} code - The removed code.
+   */
+  #offerUndo(code) {
+    clearTimeout(this.#undoTimeout);
+
+    this.#removedCode = code;
+    this.#undoTimeout = window.setTimeout(() => {
+      this.#removedCode = null;
+      this.#renderUndo();
+    }, UNDO_DURATION);
+
+    this.#renderUndo();
+  }
+
+  #renderUndo() {
+    const { undo, undoMessage } = this.refs;
+    if (!undo || !undoMessage) return;
+
+    undo.classList.toggle('hidden', !this.#removedCode);
+    undoMessage.textContent = (undoMessage.dataset.template ?? '').replace('[code]', this.#removedCode ?? '');
+  }
+
+  #hideDiscountErrors() {
+    this.#error = null;
+
+    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
+    const { cartDiscountErrorCombination, cartDiscountErrorMinimum } = this.refs;
+
+    for (const element of [
+      cartDiscountError,
+      cartDiscountErrorDiscountCode,
+      cartDiscountErrorShipping,
+      cartDiscountErrorCombination,
+      cartDiscountErrorMinimum,
+    ]) {
+      element?.classList.add('hidden');
+    }
+  }
+
   /**
    * Handles the discount error.
    *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * @param {DiscountErrorType} type - The type of discount error.
+   * @param {string} code - The codes the error is about.
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
+  #handleDiscountError(type, code) {
+    const { cartDiscountError } = this.refs;
+    const target = {
+      discount_code: this.refs.cartDiscountErrorDiscountCode,
+      shipping: this.refs.cartDiscountErrorShipping,
+      combination: this.refs.cartDiscountErrorCombination,
+      minimum: this.refs.cartDiscountErrorMinimum,
+    }[type];
+
+    if (!target) return;
+
+    this.#hideDiscountErrors();
+    this.#error = { type, code };
+
+    if (target.dataset.template) target.textContent = target.dataset.template.replace('[code]', code);
+
     cartDiscountError.classList.remove('hidden');
     target.classList.remove('hidden');
   }
@@ -198,6 +410,89 @@ class CartDiscount extends Component {
   }
 }
 
+/**
+ * Gets the codes the cart applies. Codes that take nothing off yet are applicable too, like shipping codes before
+ * there's a shipping address.
+ * @param {DiscountCart} cart
+ * @returns {Set<string>} The codes, in lowercase.
+ */
+function getApplicableCodes(cart) {
+  return new Set(cart.discount_codes.filter(({ applicable }) => applicable).map(({ code }) => code.toLowerCase()));
+}
+
+/**
+ * Gets the amount each discount code takes off the cart.
+ * @param {DiscountCart} cart
+ * @returns {Map<string, number>} The amounts in cents, by code in lowercase.
+ */
+export function getDiscountSavings(cart) {
+  /** @type {Map<string, number>} */
+  const savings = new Map();
+
+  /**
+   * @param {DiscountApplication} application
+   * @param {number} amount
+   */
+  const add = (application, amount) => {
+    if (application.type !== 'discount_code') return;
+
+    const code = application.title.toLowerCase();
+    savings.set(code, (savings.get(code) ?? 0) + amount);
+  };
+
+  for (const application of cart.cart_level_discount_applications ?? []) {
+    add(application, application.total_allocated_amount ?? 0);
+  }
+
+  for (const item of cart.items ?? []) {
+    for (const allocation of item.line_level_discount_allocations ?? []) {
+      add(allocation.discount_application, allocation.amount);
+    }
+  }
+
+  return savings;
+}
+
+/**
+ * Discount codes aren't case sensitive.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameCode(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Applies discount codes to the cart through the discount form of the cart, like the customer would, or directly
+ * when the form isn't on the page.
+ * @param {string[]} codes
+ * @param {string} sourceId - The id of the element the codes are applied from.
+ * @returns {Promise<void>}
+ */
+export async function applyDiscountCodes(codes, sourceId) {
+  const cartDiscount = document.querySelector('cart-discount-component');
+
+  if (cartDiscount instanceof CartDiscount) {
+    for (const code of codes) {
+      await cartDiscount.applyDiscountCode(code);
+    }
+    return;
+  }
+
+  const cartResponse = await fetch(`${Theme.routes.cart_url}.js`);
+  /** @type {DiscountCart} */
+  const cart = await cartResponse.json();
+  const existing = cart.discount_codes.filter(({ applicable }) => applicable).map(({ code }) => code);
+
+  const response = await fetch(
+    Theme.routes.cart_update_url,
+    fetchConfig('json', { body: JSON.stringify({ discount: [...new Set([...existing, ...codes])].join(',') }) })
+  );
+
+  document.dispatchEvent(new DiscountUpdateEvent(await response.json(), sourceId));
+}
+
 if (!customElements.get('cart-discount-component')) {
   customElements.define('cart-discount-component', CartDiscount);
 }
@@ -1,20 +1,40 @@
 import { DialogComponent } from '@theme/dialog';
 import { CartAddEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * @typedef {object} CartDrawerRefs
+ * @property {HTMLElement} [cartError] - Shows why the last change to the cart failed.
+ * @property {HTMLElement} [cartErrorMessage] - The message of the error.
+ */
 
 /**
  * A custom element that manages a cart drawer.
  *
- * @extends {DialogComponent}
+ * The drawer shows the state of the cart store: it's busy while the cart updates, shows why a change failed, and
+ * loads the cart again when it opens on a cart that changed since it was rendered, e.g. in another tab.
+ *
+ * @extends {DialogComponent<CartDrawerRefs>}
  */
 class CartDrawerComponent extends DialogComponent {
   connectedCallback() {
     super.connectedCallback();
     document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    cartStore.addEventListener('change', this.#renderState);
+
+    this.#renderState();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderState();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    cartStore.removeEventListener('change', this.#renderState);
   }
 
   #handleCartAdd = () => {
@@ -25,6 +45,7 @@ class CartDrawerComponent extends DialogComponent {
 
   open() {
     this.showDialog();
+    cartStore.refresh();
 
     /**
      * Close cart drawer when installments CTA is clicked to avoid overlapping dialogs
@@ -39,6 +60,23 @@ class CartDrawerComponent extends DialogComponent {
   close() {
     this.closeDialog();
   }
+
+  dismissError() {
+    cartStore.dismissError();
+  }
+
+  #renderState = () => {
+    const { dialog, cartError, cartErrorMessage } = this.refs;
+    const { status, error } = cartStore.state;
+
+    this.dataset.cartStatus = status;
+    dialog.setAttribute('aria-busy', String(status === 'updating'));
+
+    if (cartError && cartErrorMessage) {
+      cartErrorMessage.textContent = status === 'error' ? error || cartError.dataset.fallbackMessage || '' : '';
+      cartError.hidden = status !== 'error';
+    }
+  };
 }
 
 if (!customElements.get('cart-drawer-component')) {
@@ -0,0 +1,234 @@
+import { Component } from '@theme/component';
+import { debounce, fetchConfig } from '@theme/utilities';
+import { CartUpdateEvent } from '@theme/events';
+import { morphSection } from '@theme/section-renderer';
+import { countCharacters, renderCount, truncateCharacters } from '@theme/personalization-fields';
+import { fromISODate, getEarliestDelivery, getThemeLeadTime, toISODate } from '@theme/lead-time';
+import { cartPerformance } from '@theme/performance';
+
+/**
+ * The names of the cart attributes, as they show on the order.
+ */
+export const GIFT_WRAP_ATTRIBUTE = 'Gift wrap';
+export const GIFT_MESSAGE_ATTRIBUTE = 'Gift message';
+export const DELIVERY_DATE_ATTRIBUTE = 'Delivery date';
+
+/**
+ * How far ahead a delivery date can be picked, in days.
+ */
+const MAX_DELIVERY_DAYS = 180;
+
+/**
+ * @typedef {object} CartGiftOptionsRefs
+ * @property {HTMLTextAreaElement} message - The gift message.
+ * @property {HTMLElement} messageCount - The character count of the message, with a `data-template`.
+ * @property {HTMLInputElement} [giftWrap] - The gift wrap checkbox, when a gift wrap product is set.
+ * @property {HTMLInputElement} [deliveryDate] - The preferred delivery date.
+ * @property {HTMLElement} [deliveryDateHint] - The earliest delivery date, or why the picked date can't be met.
+ */
+
+/**
+ * A custom element that saves the gift options of the cart as cart attributes: gift wrap, a gift message and a
+ * preferred delivery date.
+ *
+ * Gift wrap also adds the gift wrap product to the cart, or removes it. Delivery dates before the earliest date the
+ * order can arrive, from the production lead time, can't be picked.
+ *
+ * The cart section is rendered again after each change, so the summary shows the options. What the customer typed
+ * since is kept, and the limits set on the client are set again.
+ *
+ * @extends Component<CartGiftOptionsRefs>
+ */
+class CartGiftOptionsComponent extends Component {
+  requiredRefs = ['message', 'messageCount'];
+
+  /**
+   * The attributes waiting to be saved.
+   * @type {Record<string, string>}
+   */
+  #pending = {};
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#renderMessageCount();
+    this.#renderDeliveryDate();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderMessageCount();
+    this.#renderDeliveryDate();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#debouncedSave.cancel();
+  }
+
+  /**
+   * Adds the gift wrap product to the cart, or removes it.
+   * @param {Event} event - The change event.
+   */
+  async toggleGiftWrap(event) {
+    const { giftWrap } = this.refs;
+    const { giftWrapVariantId } = this.dataset;
+    if (!giftWrap || !giftWrapVariantId) return;
+
+    const wrapped = giftWrap.checked;
+    giftWrap.disabled = true;
+
+    try {
+      const cart = await this.#update({
+        // Keyed by variant ID, the gift wrap product is added when it isn't in the cart yet
+        updates: { [giftWrapVariantId]: wrapped ? 1 : 0 },
+        attributes: { ...this.#takePending(), [GIFT_WRAP_ATTRIBUTE]: wrapped ? 'Yes' : '' },
+      });
+
+      this.dispatchEvent(
+        new CartUpdateEvent(cart, this.id, {
+          source: 'cart-gift-options-component',
+          itemCount: cart.item_count,
+          variantId: giftWrapVariantId,
+          sections: cart.sections,
+        })
+      );
+    } catch (error) {
+      console.error(error);
+      giftWrap.checked = !wrapped;
+    } finally {
+      giftWrap.disabled = false;
+      cartPerformance.measureFromEvent('gift-wrap-update:user-action', event);
+    }
+  }
+
+  /**
+   * Limits the gift message to its length, and saves it once the customer stops typing.
+   */
+  updateMessage() {
+    const { message } = this.refs;
+    const maxLength = Number(this.dataset.maxLength) || 0;
+
+    // Emoji take several code units, so the message is limited here rather than with `maxlength`
+    if (maxLength) {
+      const truncated = truncateCharacters(message.value, maxLength);
+      if (truncated !== message.value) message.value = truncated;
+    }
+
+    this.#renderMessageCount();
+    this.#pending[GIFT_MESSAGE_ATTRIBUTE] = message.value;
+    this.#debouncedSave();
+  }
+
+  /**
+   * Saves the preferred delivery date, unless it's too early for the order to arrive.
+   */
+  updateDeliveryDate() {
+    if (!this.#renderDeliveryDate()) return;
+
+    this.#pending[DELIVERY_DATE_ATTRIBUTE] = this.refs.deliveryDate?.value ?? '';
+    this.#debouncedSave.cancel();
+    this.#save();
+  }
+
+  #debouncedSave = debounce(() => this.#save(), 500);
+
+  async #save() {
+    const attributes = this.#takePending();
+    if (!Object.keys(attributes).length) return;
+
+    try {
+      const cart = await this.#update({ attributes });
+
+      // Only attributes changed, render the summary without telling the rest of the theme the cart changed
+      for (const [sectionId, html] of Object.entries(cart.sections ?? {})) {
+        if (html) morphSection(sectionId, html);
+      }
+    } catch (error) {
+      console.error(error);
+
+      // Try again with the next change
+      this.#pending = { ...attributes, ...this.#pending };
+    }
+  }
+
+  /**
+   * Updates the cart, and renders the sections of the cart items with it.
+   * @param {object} body - The body of the cart update.
+   * @returns {Promise<{ item_count: number, sections?: Record<string, string> }>} The cart.
+   */
+  async #update(body) {
+    const sectionIds = [...document.querySelectorAll('cart-items-component')]
+      .map((element) => (element instanceof HTMLElement ? element.dataset.sectionId : undefined))
+      .filter(Boolean);
+
+    const response = await fetch(
+      Theme.routes.cart_update_url,
+      fetchConfig('json', {
+        body: JSON.stringify({ ...body, sections: sectionIds.join(','), sections_url: window.location.pathname }),
+      })
+    );
+    const cart = await response.json();
+
+    if (cart.status) throw new Error(cart.description || cart.message);
+
+    return cart;
+  }
+
+  /**
+   * @returns {Record<string, string>} The attributes waiting to be saved, which are no longer pending.
+   */
+  #takePending() {
+    const attributes = this.#pending;
+    this.#pending = {};
+    return attributes;
+  }
+
+  #renderMessageCount() {
+    const { message, messageCount } = this.refs;
+    const maxLength = Number(this.dataset.maxLength) || 0;
+
+    renderCount(messageCount, countCharacters(message.value), maxLength);
+  }
+
+  /**
+   * Limits the delivery date to the days the order can arrive, and explains the limit.
+   * @returns {boolean} Whether the picked date can be met, true when no date is picked.
+   */
+  #renderDeliveryDate() {
+    const { deliveryDate, deliveryDateHint } = this.refs;
+    if (!deliveryDate) return true;
+
+    const earliest = getEarliestDelivery(getThemeLeadTime(Number(this.dataset.productionDays) || 0));
+    const latest = new Date(earliest);
+    latest.setDate(latest.getDate() + MAX_DELIVERY_DAYS);
+
+    deliveryDate.min = toISODate(earliest);
+    deliveryDate.max = toISODate(latest);
+
+    const picked = fromISODate(deliveryDate.value);
+    const valid = !picked || (picked >= earliest && picked <= latest);
+
+    if (deliveryDateHint) {
+      const template = (valid ? deliveryDateHint.dataset.template : deliveryDateHint.dataset.errorTemplate) ?? '';
+      const date = earliest.toLocaleDateString(document.documentElement.lang || undefined, {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+      });
+
+      deliveryDateHint.textContent = template.replace('[date]', date);
+      deliveryDateHint.toggleAttribute('data-error', !valid);
+    }
+
+    deliveryDate.setAttribute('aria-invalid', String(!valid));
+
+    return valid;
+  }
+}
+
+if (!customElements.get('cart-gift-options-component')) {
+  customElements.define('cart-gift-options-component', CartGiftOptionsComponent);
+}
@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
 import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that displays a cart icon.
@@ -28,6 +29,7 @@ class CartIcon extends Component {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    cartStore.addEventListener('change', this.onCartStoreChange);
     this.ensureCartBubbleIsCorrect();
   }
 
@@ -35,8 +37,20 @@ class CartIcon extends Component {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    cartStore.removeEventListener('change', this.onCartStoreChange);
   }
 
+  /**
+   * Shows the item count of a cart changed in another tab, before the rest of the cart is loaded again.
+   */
+  onCartStoreChange = () => {
+    const { cart } = cartStore.state;
+
+    if (cart && cart.item_count !== this.currentCartCount) {
+      this.renderCartBubble(cart.item_count, false, false);
+    }
+  };
+
   /**
    * Handles the cart update event.
    * @param {CartUpdateEvent} event - The cart update event.
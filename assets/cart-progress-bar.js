@@ -0,0 +1,170 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartUpdateEvent, DiscountUpdateEvent } from '@theme/events';
+import { formatCents, prefersReducedMotion } from '@theme/utilities';
+
+/**
+ * @typedef {object} CartProgressBarRefs
+ * @property {HTMLElement} fill - The filled part of the bar.
+ * @property {HTMLElement} message - The progress message.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the shop.
+ * @property {HTMLElement[]} [tiers] - The reward markers, with their amount in the store currency.
+ */
+
+/**
+ * @typedef {object} Tier
+ * @property {HTMLElement} marker - The marker of the reward on the bar.
+ * @property {number} amount - The amount that unlocks the reward, in cents of the cart currency.
+ * @property {string} label - The reward, e.g. "Free shipping".
+ */
+
+/**
+ * A custom element that shows the progress of the cart total toward the rewards set in the theme settings,
+ * like free shipping or a free keychain.
+ *
+ * Reward amounts are set in the store currency, and converted with the rate of the currency the customer shops in.
+ * The bar is rendered on the client and left alone when the cart section is morphed, so it can animate from the
+ * previous total to the new one.
+ *
+ * @extends Component<CartProgressBarRefs>
+ */
+class CartProgressBarComponent extends Component {
+  requiredRefs = ['fill', 'message', 'moneyFormat'];
+
+  #abortController = new AbortController();
+
+  /** The share of the bar that is filled, from 0 to 1. */
+  #progress = 0;
+
+  #requestId = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartChange, { signal });
+    document.addEventListener(ThemeEvents.discountUpdate, this.#onCartChange, { signal });
+
+    this.#render(Number(this.dataset.total) || 0, false);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * @param {CartUpdateEvent | DiscountUpdateEvent} event
+   */
+  #onCartChange = async (event) => {
+    const requestId = ++this.#requestId;
+
+    try {
+      const total = await getCartTotal(event);
+      if (requestId !== this.#requestId) return;
+
+      this.dataset.total = total.toString();
+      this.#render(total, true);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  /**
+   * @param {number} total - The total of the cart, in cents of the cart currency.
+   * @param {boolean} animate - Whether to animate the bar from its previous progress.
+   */
+  #render(total, animate) {
+    const tiers = this.#tiers;
+    const highest = tiers[tiers.length - 1];
+    if (!highest) return;
+
+    const next = tiers.find((tier) => tier.amount > total);
+    const unlocked = tiers.filter((tier) => tier.amount <= total).pop();
+
+    for (const tier of tiers) {
+      tier.marker.toggleAttribute('data-unlocked', tier.amount <= total);
+    }
+
+    const { message } = this.refs;
+
+    if (next) {
+      const remaining = this.#formatMoney(next.amount - total);
+      message.textContent = (this.dataset.templateRemaining ?? '')
+        .replace('[amount]', remaining)
+        .replace('[reward]', next.label);
+    } else if (unlocked) {
+      message.textContent = (this.dataset.templateUnlocked ?? '').replace('[reward]', unlocked.label);
+    }
+
+    this.toggleAttribute('data-complete', !next);
+    this.#setProgress(Math.min(1, total / highest.amount), animate);
+  }
+
+  /**
+   * @param {number} progress - The share of the bar to fill, from 0 to 1.
+   * @param {boolean} animate - Whether to animate the bar from its previous progress.
+   */
+  #setProgress(progress, animate) {
+    const { fill } = this.refs;
+    const from = this.#progress;
+
+    this.#progress = progress;
+    fill.style.transform = `scaleX(${progress})`;
+
+    if (!animate || from === progress || prefersReducedMotion()) return;
+
+    fill.animate([{ transform: `scaleX(${from})` }, { transform: `scaleX(${progress})` }], {
+      duration: 600,
+      easing: 'cubic-bezier(0.2, 0, 0, 1)',
+    });
+  }
+
+  /**
+   * The rewards, from the lowest amount to the highest, converted to the cart currency.
+   * @returns {Tier[]}
+   */
+  get #tiers() {
+    const rate = Number(window.Shopify?.currency?.rate) || 1;
+
+    return (this.refs.tiers ?? [])
+      .map((marker) => ({
+        marker,
+        amount: Math.round(Number(marker.dataset.amount) * rate),
+        label: marker.dataset.label ?? '',
+      }))
+      .filter((tier) => tier.amount > 0)
+      .sort((a, b) => a.amount - b.amount);
+  }
+
+  /**
+   * @param {number} cents
+   * @returns {string}
+   */
+  #formatMoney(cents) {
+    const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
+    return formatCents(cents, template, this.dataset.currency);
+  }
+}
+
+/**
+ * Gets the total of the cart after an update, from the cart of the event when it has one.
+ * @param {CartUpdateEvent | DiscountUpdateEvent} event
+ * @returns {Promise<number>} The total, in cents of the cart currency.
+ */
+async function getCartTotal(event) {
+  const cart = /** @type {{ total_price?: number } | undefined} */ (event.detail.resource);
+  if (typeof cart?.total_price === 'number') return cart.total_price;
+
+  const response = await fetch(`${Theme.routes.cart_url}.js`);
+  if (!response.ok) throw new Error('Could not load the cart');
+
+  /** @type {{ total_price: number }} */
+  const { total_price } = await response.json();
+
+  return total_price;
+}
+
+if (!customElements.get('cart-progress-bar-component')) {
+  customElements.define('cart-progress-bar-component', CartProgressBarComponent);
+}
@@ -0,0 +1,61 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartAddEvent, CartUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {object} CartRecommendationsRefs
+ * @property {HTMLElement} recommendations - The `product-recommendations` element that loads the products.
+ */
+
+/**
+ * A custom element that shows products that go with the cart in the cart drawer, like a matching collar for a
+ * personalized tag.
+ *
+ * The products are the complementary products of the product last added to the cart, loaded by the
+ * `product-recommendations` element. They're reloaded on every cart update, since products already in the cart are
+ * left out. The rail is left alone when the drawer is morphed, so it doesn't flash back to its empty state.
+ *
+ * @extends Component<CartRecommendationsRefs>
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['recommendations'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * @param {CartAddEvent | CartUpdateEvent} event
+   */
+  #onCartUpdate = (event) => {
+    if (event.detail.data.didError) return;
+
+    const { recommendations } = this.refs;
+    const { productId } = event.detail.data;
+
+    if (event instanceof CartAddEvent && productId) {
+      recommendations.dataset.productId = productId;
+    }
+
+    if (!recommendations.dataset.productId) return;
+
+    // Any of these attribute changes makes the element load the products again
+    recommendations.classList.remove('hidden');
+    delete recommendations.dataset.error;
+    recommendations.dataset.recommendationsPerformed = 'false';
+  };
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
@@ -0,0 +1,389 @@
+import { Component } from '@theme/component';
+import { CartAddEvent } from '@theme/events';
+import { applyDiscountCodes } from '@theme/cart-discount';
+import { fetchConfig } from '@theme/utilities';
+import { ADDON_FOR_PROPERTY, ADDON_GROUP_PROPERTY } from '@theme/product-form';
+
+/**
+ * The URL parameter that holds a shared cart.
+ */
+export const SHARED_CART_PARAM = 'shared_cart';
+
+/**
+ * @typedef {object} CartLine
+ * @property {number} variant_id
+ * @property {number} quantity
+ * @property {Record<string, string> | null} properties
+ */
+
+/**
+ * @typedef {object} Cart
+ * @property {CartLine[]} items
+ * @property {{ code: string, applicable: boolean }[]} [discount_codes]
+ */
+
+/**
+ * A line of a shared cart: the variant ID, the quantity, and the properties when there are any.
+ * @typedef {[number, number] | [number, number, Record<string, string>]} SharedLine
+ */
+
+/**
+ * @typedef {object} SharedCart
+ * @property {SharedLine[]} items
+ * @property {string[]} discountCodes
+ */
+
+/**
+ * Whether a private property, which starts with an underscore, is kept in shared carts: the links between add-ons and
+ * their main line, and the URLs of uploaded photos, like `_Image 1 URL`.
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isSharedPrivateProperty(key, value) {
+  if (key === ADDON_GROUP_PROPERTY || key === ADDON_FOR_PROPERTY) return true;
+
+  return key.endsWith(' URL') && /^https?:\/\//.test(value);
+}
+
+/**
+ * Makes a cart small enough to share in a URL. Private properties are left out, apart from the add-on links and the
+ * photo URLs the items can't be rebuilt without.
+ * @param {Cart} cart
+ * @returns {SharedCart}
+ */
+export function toSharedCart(cart) {
+  return {
+    items: cart.items.map(({ variant_id, quantity, properties }) => {
+      const shared = Object.entries(properties ?? {}).filter(
+        ([key, value]) => value !== '' && (!key.startsWith('_') || isSharedPrivateProperty(key, value))
+      );
+
+      /** @type {SharedLine} */
+      const line = shared.length ? [variant_id, quantity, Object.fromEntries(shared)] : [variant_id, quantity];
+      return line;
+    }),
+    discountCodes: (cart.discount_codes ?? []).filter(({ applicable }) => applicable).map(({ code }) => code),
+  };
+}
+
+/**
+ * Encodes a shared cart for a URL, as base64url JSON.
+ * @param {SharedCart} sharedCart
+ * @returns {string}
+ */
+export function encodeSharedCart({ items, discountCodes }) {
+  const json = JSON.stringify(discountCodes.length ? { i: items, d: discountCodes } : { i: items });
+  const binary = String.fromCharCode(...new TextEncoder().encode(json));
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Reads a shared cart from a URL.
+ * @param {string} value - The encoded cart.
+ * @returns {SharedCart | null} The cart, null if the value isn't a shared cart.
+ */
+export function decodeSharedCart(value) {
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    const json = new TextDecoder().decode(Uint8Array.from(binary, (character) => character.charCodeAt(0)));
+    const { i: items, d: discountCodes = [] } = JSON.parse(json);
+
+    if (!Array.isArray(items) || !Array.isArray(discountCodes)) return null;
+
+    return {
+      items: items.filter(
+        (line) => Array.isArray(line) && Number.isInteger(line[0]) && Number.isInteger(line[1]) && line[1] > 0
+      ),
+      discountCodes: discountCodes.filter((code) => typeof code === 'string' && code),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Turns shared lines into lines to add to the cart. Add-ons get new group IDs, so they're never mixed up with the
+ * groups of a cart rebuilt from the same link before.
+ * @param {SharedLine[]} items
+ * @returns {{ id: number, quantity: number, properties?: Record<string, string> }[]}
+ */
+function toCartLines(items) {
+  /** @type {Map<string, string>} */
+  const groups = new Map();
+
+  return items.map(([id, quantity, properties]) => {
+    if (!properties) return { id, quantity };
+
+    const lineProperties = { ...properties };
+
+    for (const key of [ADDON_GROUP_PROPERTY, ADDON_FOR_PROPERTY]) {
+      const group = properties[key];
+      if (!group) continue;
+
+      if (!groups.has(group)) groups.set(group, crypto.randomUUID());
+      lineProperties[key] = /** @type {string} */ (groups.get(group));
+    }
+
+    return { id, quantity, properties: lineProperties };
+  });
+}
+
+/**
+ * Gets a link to the cart page that rebuilds a cart.
+ * @param {Cart} cart
+ * @returns {string}
+ */
+export function getSharedCartUrl(cart) {
+  const url = new URL(Theme.routes.cart_url, window.location.origin);
+  url.searchParams.set(SHARED_CART_PARAM, encodeSharedCart(toSharedCart(cart)));
+
+  return url.toString();
+}
+
+/**
+ * @typedef {object} CartShareRefs
+ * @property {HTMLButtonElement} button - The share button.
+ * @property {HTMLElement} status - Says the link is copied, or that it couldn't be.
+ */
+
+/**
+ * A custom element with a button that shares a link to the cart, so someone else can get the same cart. Support
+ * agents use it to hand over carts they build for customers.
+ *
+ * The link is shared with the share sheet of the device when there is one, and copied otherwise.
+ *
+ * @extends Component<CartShareRefs>
+ */
+class CartShareComponent extends Component {
+  requiredRefs = ['button', 'status'];
+
+  /** @type {number | undefined} */
+  #statusTimeout;
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#statusTimeout);
+  }
+
+  async share() {
+    const { button } = this.refs;
+    button.disabled = true;
+
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      if (!response.ok) throw new Error('Could not load the cart');
+
+      /** @type {Cart} */
+      const cart = await response.json();
+      const url = getSharedCartUrl(cart);
+
+      if (navigator.share && window.matchMedia('(pointer: coarse)').matches) {
+        await navigator.share({ url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        this.#showStatus(this.dataset.copiedMessage);
+      }
+    } catch (error) {
+      // Closing the share sheet isn't an error
+      if (error instanceof DOMException && error.name === 'AbortError') return;
+
+      console.error(error);
+      this.#showStatus(this.dataset.errorMessage);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * @param {string} [message]
+   */
+  #showStatus(message = '') {
+    const { status } = this.refs;
+
+    clearTimeout(this.#statusTimeout);
+    status.textContent = message;
+    this.#statusTimeout = window.setTimeout(() => (status.textContent = ''), 4000);
+  }
+}
+
+/**
+ * @typedef {object} SharedCartRefs
+ * @property {HTMLElement} status - Asks whether to replace the cart, says it's being rebuilt, then how it went.
+ * @property {HTMLElement} actions - The buttons to replace the cart or keep it.
+ */
+
+/**
+ * A custom element on the cart page that rebuilds a shared cart from the URL: the cart is cleared, the items of the
+ * shared cart are added, then its discount codes are applied like the customer would, with the discount form.
+ *
+ * Customers who already have items in their cart are asked first whether to replace them.
+ * Items that can't be added anymore, like sold out variants, are left out, and the customer is told.
+ *
+ * @extends Component<SharedCartRefs>
+ */
+class SharedCartComponent extends Component {
+  requiredRefs = ['status', 'actions'];
+
+  /**
+   * The shared cart waiting for the customer to replace their cart.
+   * @type {SharedCart | null}
+   */
+  #pendingCart = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const url = new URL(window.location.href);
+    const value = url.searchParams.get(SHARED_CART_PARAM);
+    if (!value) return;
+
+    // Reloading the page shouldn't rebuild the cart again
+    url.searchParams.delete(SHARED_CART_PARAM);
+    history.replaceState(history.state, '', url);
+
+    const sharedCart = decodeSharedCart(value);
+
+    if (sharedCart && sharedCart.items.length) {
+      this.#confirm(sharedCart);
+    } else {
+      this.#showStatus(this.dataset.errorMessage);
+    }
+  }
+
+  /**
+   * Replaces the cart of the customer with the shared cart.
+   */
+  replaceCart() {
+    const sharedCart = this.#pendingCart;
+    if (!sharedCart) return;
+
+    this.#pendingCart = null;
+    this.refs.actions.hidden = true;
+    this.#restore(sharedCart);
+  }
+
+  /**
+   * Leaves the cart of the customer as it is.
+   */
+  keepCart() {
+    this.#pendingCart = null;
+    this.refs.actions.hidden = true;
+    this.#showStatus();
+  }
+
+  /**
+   * Rebuilds the shared cart right away when the cart is empty, and asks first otherwise.
+   * @param {SharedCart} sharedCart
+   */
+  async #confirm(sharedCart) {
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      if (!response.ok) throw new Error('Could not load the cart');
+
+      const { item_count } = await response.json();
+
+      if (item_count > 0) {
+        this.#pendingCart = sharedCart;
+        this.refs.actions.hidden = false;
+        this.#showStatus(this.dataset.confirmMessage);
+        return;
+      }
+    } catch (error) {
+      console.error(error);
+      this.#showStatus(this.dataset.errorMessage);
+      return;
+    }
+
+    this.#restore(sharedCart);
+  }
+
+  /**
+   * @param {SharedCart} sharedCart
+   */
+  async #restore({ items, discountCodes }) {
+    this.#showStatus(this.dataset.loadingMessage);
+
+    try {
+      await fetch(Theme.routes.cart_clear_url, fetchConfig('json'));
+
+      const { sections, failedCount } = await this.#addLines(toCartLines(items));
+
+      // The add response only has the added lines, the count comes from the whole cart
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      if (!response.ok) throw new Error('Could not load the cart');
+
+      const cart = await response.json();
+
+      this.dispatchEvent(
+        new CartAddEvent(cart, this.id, {
+          source: 'shared-cart-component',
+          itemCount: cart.item_count,
+          sections,
+        })
+      );
+
+      if (discountCodes.length) await applyDiscountCodes(discountCodes, this.id);
+
+      this.#showStatus(failedCount ? this.dataset.partialMessage : this.dataset.readyMessage);
+    } catch (error) {
+      console.error(error);
+      this.#showStatus(this.dataset.errorMessage);
+    }
+  }
+
+  /**
+   * Adds lines to the cart all at once, or one by one when some can't be added.
+   * @param {{ id: number, quantity: number, properties?: Record<string, string> }[]} lines
+   * @returns {Promise<{ sections: Record<string, string>, failedCount: number }>} The rendered sections from the
+   * last lines added, and how many lines couldn't be added.
+   */
+  async #addLines(lines) {
+    const add = async (/** @type {typeof lines} */ items) => {
+      const response = await fetch(
+        Theme.routes.cart_add_url,
+        fetchConfig('json', {
+          body: JSON.stringify({ items, sections: this.dataset.sectionId, sections_url: window.location.pathname }),
+        })
+      );
+      const cart = await response.json();
+
+      return cart.status ? null : cart;
+    };
+
+    const cart = await add(lines);
+    if (cart) return { sections: cart.sections, failedCount: 0 };
+
+    let failedCount = 0;
+    let lastCart = null;
+
+    for (const line of lines) {
+      const result = await add([line]);
+      if (result) lastCart = result;
+      else failedCount++;
+    }
+
+    if (!lastCart) throw new Error('None of the shared items could be added');
+
+    return { sections: lastCart.sections, failedCount };
+  }
+
+  /**
+   * @param {string} [message]
+   */
+  #showStatus(message = '') {
+    const { status } = this.refs;
+
+    status.textContent = message;
+  }
+}
+
+if (!customElements.get('cart-share-component')) {
+  customElements.define('cart-share-component', CartShareComponent);
+}
+
+if (!customElements.get('shared-cart-component')) {
+  customElements.define('shared-cart-component', SharedCartComponent);
+}
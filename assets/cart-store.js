@@ -0,0 +1,229 @@
+import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, DiscountUpdateEvent } from '@theme/events';
+
+/**
+ * What the theme knows about the cart:
+ * - `idle`: the cart on screen is the cart.
+ * - `updating`: a change to the cart is on its way.
+ * - `error`: the last change to the cart failed, `error` says why.
+ * - `stale`: the cart changed since it was rendered, e.g. in another tab, and needs to be loaded again.
+ * @typedef {'idle' | 'updating' | 'error' | 'stale'} CartStatus
+ */
+
+/**
+ * @typedef {object} Cart
+ * @property {string} token
+ * @property {number} item_count
+ * @property {number} total_price
+ * @property {object[]} items
+ */
+
+/**
+ * @typedef {object} CartState
+ * @property {CartStatus} status
+ * @property {Cart | null} cart - The last cart JSON, null when the last change or load didn't return one.
+ * @property {string | null} error - Why the last change failed, when the status is `error`.
+ */
+
+/**
+ * @typedef {object} CartMessage
+ * @property {Cart | null} cart - The cart after the change, null when the tab that changed it doesn't know it.
+ */
+
+/**
+ * The name of the channel the tabs of the shop tell each other about cart changes on.
+ */
+const CHANNEL_NAME = 'theme:cart';
+
+/**
+ * The source of the cart events dispatched by the store, which don't need to be told to other tabs.
+ */
+const SOURCE = 'cart-store';
+
+/**
+ * Keeps track of the state of the cart, from the cart events of the theme and from the other tabs of the shop.
+ *
+ * Components read the state to show the cart is loading or failed to update, and load the cart again with
+ * `refresh` when it's stale. Loading the cart dispatches a cart update, so the cart sections and the cart icon are
+ * rendered again like after any other change.
+ *
+ * Other tabs are told about each change through a `BroadcastChannel`. They update the cart icon from the cart they
+ * get, and load the rest of the cart when it's needed: when the cart drawer opens, or when the tab is shown again.
+ */
+export class CartStore extends EventTarget {
+  /** @type {CartState} */
+  #state = { status: 'idle', cart: null, error: null };
+
+  /** @type {BroadcastChannel | null} */
+  #channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  /** @type {Promise<void> | null} */
+  #refreshing = null;
+
+  constructor() {
+    super();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#onCartUpdate);
+    document.addEventListener(ThemeEvents.cartError, this.#onCartError);
+    document.addEventListener('visibilitychange', this.#onVisibilityChange);
+    window.addEventListener('pageshow', this.#onPageShow);
+    this.#channel?.addEventListener('message', this.#onMessage);
+  }
+
+  /** @returns {CartState} */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * Marks the cart as updating until a change to the cart is done. The cart events dispatched by the change set
+   * the state it ends in, and the cart is stale when there weren't any.
+   * @template T
+   * @param {Promise<T>} request - The change to the cart, settled once its response is handled and its cart events
+   * are dispatched.
+   * @returns {Promise<T>} The same promise.
+   */
+  track(request) {
+    this.#setState({ status: 'updating', error: null });
+
+    const settle = () => {
+      if (this.#state.status === 'updating') this.#setState({ status: 'stale' });
+    };
+    request.then(settle, settle);
+
+    return request;
+  }
+
+  /**
+   * Clears the error of the last change. The change may have partly gone through, so the cart is stale.
+   */
+  dismissError() {
+    if (this.#state.status === 'error') this.#setState({ status: 'stale', error: null });
+  }
+
+  /**
+   * Loads the cart when it's stale, and renders it again.
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (this.#state.status !== 'stale') return Promise.resolve();
+
+    this.#refreshing ??= this.#load().finally(() => (this.#refreshing = null));
+
+    return this.#refreshing;
+  }
+
+  async #load() {
+    this.#setState({ status: 'updating' });
+
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      if (!response.ok) throw new Error('Could not load the cart');
+
+      /** @type {Cart} */
+      const cart = await response.json();
+
+      // Renders the cart sections and the cart icon, and ends in the idle state
+      document.dispatchEvent(new CartUpdateEvent(cart, SOURCE, { source: SOURCE, itemCount: cart.item_count }));
+    } catch (error) {
+      console.error(error);
+      this.#setState({ status: 'stale' });
+    }
+  }
+
+  /**
+   * @param {CartAddEvent | CartUpdateEvent | DiscountUpdateEvent} event
+   */
+  #onCartUpdate = (event) => {
+    const { resource } = event.detail;
+    const data = 'data' in event.detail ? event.detail.data : {};
+    const cart = isCart(resource) ? resource : null;
+
+    if (data.didError) {
+      // Some items may have been added anyway, e.g. up to the inventory limit
+      if (this.#state.status !== 'error') this.#setState({ status: 'stale' });
+    } else if (cart || hasCartSections(data.sections)) {
+      // Cart sections rendered with the change show the cart as it is, like the cart JSON would
+      this.#setState({ status: 'idle', cart, error: null });
+    } else {
+      this.#setState({ status: 'stale', error: null });
+    }
+
+    if (data.source !== SOURCE) {
+      /** @type {CartMessage} */
+      const message = { cart };
+      this.#channel?.postMessage(message);
+    }
+  };
+
+  /**
+   * @param {CartErrorEvent} event
+   */
+  #onCartError = (event) => {
+    const { message, description } = event.detail.data;
+    const error = typeof description === 'string' && description ? description : message;
+
+    this.#setState({ status: 'error', error: error || null });
+  };
+
+  /**
+   * The cart changed in another tab.
+   * @param {MessageEvent<CartMessage>} event
+   */
+  #onMessage = (event) => {
+    const { cart } = event.data;
+
+    this.#setState({ status: 'stale', cart, error: null });
+
+    if (document.visibilityState === 'visible') this.refresh();
+  };
+
+  #onVisibilityChange = () => {
+    if (document.visibilityState === 'visible') this.refresh();
+  };
+
+  /**
+   * @param {PageTransitionEvent} event
+   */
+  #onPageShow = (event) => {
+    // Pages restored from the back-forward cache show the cart as it was when the customer left
+    if (event.persisted) this.#setState({ status: 'stale' });
+  };
+
+  /**
+   * @param {Partial<CartState>} state
+   */
+  #setState(state) {
+    this.#state = { ...this.#state, ...state };
+    this.dispatchEvent(new Event('change'));
+  }
+}
+
+/**
+ * @param {unknown} resource
+ * @returns {resource is Cart}
+ */
+function isCart(resource) {
+  return (
+    typeof resource === 'object' &&
+    resource !== null &&
+    'item_count' in resource &&
+    typeof resource.item_count === 'number' &&
+    'items' in resource
+  );
+}
+
+/**
+ * Whether the sections rendered with a cart change include the cart sections of the page.
+ * @param {Record<string, string> | undefined} sections
+ * @returns {boolean}
+ */
+function hasCartSections(sections) {
+  if (!sections) return false;
+
+  return Array.from(document.querySelectorAll('cart-items-component')).every(
+    (element) => element instanceof HTMLElement && !!element.dataset.sectionId && element.dataset.sectionId in sections
+  );
+}
+
+export const cartStore = new CartStore();
@@ -1,51 +1,97 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import {
+  fetchConfig,
+  debounce,
+  formatCents,
+  onAnimationEnd,
+  prefersReducedMotion,
+  resetShimmer,
+} from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
   CartUpdateEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
+  CartErrorEvent,
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { SavedForLater, createSavedItem } from '@theme/saved-for-later';
+import { cartStore } from '@theme/cart-store';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
 
+/**
+ * @typedef {object} CartResponse
+ * @property {number} total_price - The total of the cart, in cents.
+ * @property {number} item_count - The number of items in the cart.
+ * @property {{ key: string, quantity: number, final_line_price: number }[]} items - The lines of the cart.
+ * @property {Record<string, string>} sections - The sections rendered with the cart.
+ */
+
 /**
  * A custom element that displays a cart items component.
  *
+ * Quantity changes show on screen right away: the line and the cart total are recalculated on the client, and
+ * the changes are queued. Changes made in quick succession are merged into a single update of the cart, and the
+ * section is rendered again once the queue is empty. When the cart rejects an update, e.g. because of an inventory
+ * limit, the lines go back to their last confirmed quantity and the error shows on the line.
+ *
  * @typedef {object} Refs
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
- * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
- * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows, with their confirmed quantity and price.
+ * @property {TextComponent} cartTotal - The cart total, with its confirmed amount.
+ * @property {HTMLTemplateElement} [moneyFormat] - The money format of the line prices.
+ * @property {HTMLTemplateElement} [totalMoneyFormat] - The money format of the cart total.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
-  #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
+  /**
+   * The quantities to send, keyed by line item key.
+   * @type {Map<string, number>}
+   */
+  #queue = new Map();
+
+  /**
+   * The quantities of the update being sent, keyed by line item key.
+   * @type {Map<string, number> | null}
+   */
+  #inFlight = null;
+
+  /** @type {ReturnType<typeof cartPerformance.createStartingMarker> | undefined} */
+  #performanceMarker;
+
+  #debouncedFlush = debounce(() => this.#flushQueue(), 300);
 
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
-    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
+    this.addEventListener(ThemeEvents.cartError, this.#onCartError);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
+    this.removeEventListener(ThemeEvents.cartError, this.#onCartError);
+    this.#debouncedFlush.cancel();
   }
 
   /**
    * Handles QuantitySelectorUpdateEvent change event.
    * @param {QuantitySelectorUpdateEvent} event - The event.
    */
-  #onQuantityChange(event) {
-    const { quantity, cartLine: line } = event.detail;
+  #onQuantityChange = (event) => {
+    // The cart page can also have a cart drawer, each handles its own quantity selectors
+    if (!(event.target instanceof Node) || !this.contains(event.target)) return;
+
+    const { quantity, cartLine: line, adjustment } = event.detail;
 
     if (!line) return;
 
@@ -53,68 +99,150 @@ class CartItemsComponent extends Component {
       return this.onLineItemRemove(line);
     }
 
+    const row = this.refs.cartItemRows[line - 1];
+
     this.updateQuantity({
       line,
       quantity,
       action: 'change',
+      // Paid add-ons are added once per unit of their line, so they follow its quantity
+      addonQuantities: row ? this.#getAddonQuantities(row, quantity) : undefined,
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
-
-    if (!lineItemRow) return;
 
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
-  }
+    // Tell the customer why the quantity isn't the one they typed
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+    if (adjustment && key) this.#showLineError(key, adjustment);
+  };
 
   /**
    * Handles the line item removal.
    * @param {number} line - The line item index.
    */
   onLineItemRemove(line) {
+    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+
+    // Get all nested lines of the row to remove
+    const nestedRows = cartItemRowToRemove
+      ? this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key)
+      : [];
+
     this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
+      // Unlike bundled lines, paid add-ons aren't removed with their line by the cart
+      addonQuantities: cartItemRowToRemove ? this.#getAddonQuantities(cartItemRowToRemove, 0) : undefined,
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
-
     if (!cartItemRowToRemove) return;
 
-    const rowsToRemove = [
-      cartItemRowToRemove,
-      // Get all nested lines of the row to remove
-      ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
-    ];
+    const rowsToRemove = [cartItemRowToRemove, ...nestedRows];
 
     // Add class to the row to trigger the animation
     rowsToRemove.forEach((row) => {
-      const remove = () => row.remove();
+      // Rows are hidden rather than removed, so they can come back if the cart rejects the update
+      const hide = () => {
+        row.hidden = true;
+      };
 
-      if (prefersReducedMotion()) return remove();
+      if (prefersReducedMotion()) return hide();
 
       row.style.setProperty('--row-height', `${row.clientHeight}px`);
       row.classList.add('removing');
 
-      // Remove the row after the animation ends
-      onAnimationEnd(row, remove);
+      // Hide the row after the animation ends
+      onAnimationEnd(row, hide);
     });
   }
 
   /**
-   * Updates the quantity.
+   * Moves a line to the items saved for later, with its properties and add-ons, then removes it from the cart.
+   * @param {number} line - The line item index.
+   */
+  async saveForLater(line) {
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+    if (!key) return;
+
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      if (!response.ok) throw new Error('Could not load the cart');
+
+      /** @type {{ items: import('./saved-for-later').CartLine[] }} */
+      const cart = await response.json();
+      const item = createSavedItem(cart.items, key);
+      if (!item) return;
+
+      await SavedForLater.add(item);
+    } catch (error) {
+      console.error(error);
+      this.#showLineError(key, Theme.translations.saved_for_later_error ?? '');
+      return;
+    }
+
+    // The rows may have been rendered again while the item was being saved
+    const index = this.refs.cartItemRows.findIndex((row) => row.dataset.key === key);
+    if (index !== -1) this.onLineItemRemove(index + 1);
+  }
+
+  /**
+   * Gets the quantities of the paid add-on lines of a line for a new quantity of the line, keeping the number of
+   * add-ons per unit of the line.
+   * @param {HTMLElement} row - The row of the line.
+   * @param {number} quantity - The new quantity of the line.
+   * @returns {Map<string, number>} The quantities, by add-on line key.
+   */
+  #getAddonQuantities(row, quantity) {
+    /** @type {Map<string, number>} */
+    const quantities = new Map();
+    const lineQuantity = Number(row.dataset.quantity) || 0;
+
+    for (const addonRow of this.refs.cartItemRows) {
+      const { key, parentKey } = addonRow.dataset;
+      if (!key || parentKey !== row.dataset.key || !addonRow.hasAttribute('data-addon')) continue;
+
+      const perUnit = lineQuantity ? (Number(addonRow.dataset.quantity) || 0) / lineQuantity : 0;
+      quantities.set(key, Math.round(perUnit * quantity));
+    }
+
+    return quantities;
+  }
+
+  /**
+   * Updates the quantity of a line on screen, and queues the update of the cart.
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @param {Map<string, number>} [config.addonQuantities] - The quantities of the paid add-on lines of the line, by key.
    */
   updateQuantity(config) {
-    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
+    const { line, quantity, addonQuantities = new Map() } = config;
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
 
-    this.#disableCartItems();
+    if (!key) return;
 
-    const { line, quantity } = config;
-    const { cartTotal } = this.refs;
+    this.#performanceMarker ??= cartPerformance.createStartingMarker(`${config.action}:user-action`);
+
+    this.#hideLineError(key);
+    this.#queue.set(key, quantity);
+    for (const [addonKey, addonQuantity] of addonQuantities) this.#queue.set(addonKey, addonQuantity);
+
+    this.#renderQuantities();
+    this.#debouncedFlush();
+  }
+
+  /**
+   * Sends the queued quantities in a single update of the cart, once the previous update is done.
+   */
+  async #flushQueue() {
+    if (this.#inFlight || !this.#queue.size) return;
+
+    const updates = this.#queue;
+    const performanceMarker = this.#performanceMarker;
+
+    this.#queue = new Map();
+    this.#inFlight = updates;
+    this.#performanceMarker = undefined;
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
     const sectionsToUpdate = new Set([this.sectionId]);
@@ -125,86 +253,186 @@ class CartItemsComponent extends Component {
     });
 
     const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
+      updates: Object.fromEntries(updates),
       sections: Array.from(sectionsToUpdate).join(','),
       sections_url: window.location.pathname,
     });
 
-    cartTotal?.shimmer();
-
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
-        resetShimmer(this);
-
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
-
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
-
-        this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
-
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
-      })
-      .catch((error) => {
-        console.error(error);
-      })
-      .finally(() => {
-        this.#enableCartItems();
-        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
-      });
+    this.refs.cartTotal?.shimmer();
+
+    const update = async () => {
+      const response = await fetch(Theme.routes.cart_update_url, fetchConfig('json', { body }));
+      const cart = await response.json();
+
+      if (cart.status) {
+        this.dispatchEvent(new CartErrorEvent(this.sectionId, cart.message, cart.description, cart.errors));
+        return;
+      }
+
+      this.#inFlight = null;
+      this.#confirm(/** @type {CartResponse} */ (cart), updates);
+
+      this.dispatchEvent(
+        new CartUpdateEvent(cart, this.sectionId, {
+          itemCount: cart.item_count,
+          source: 'cart-items-component',
+          sections: cart.sections,
+        })
+      );
+
+      // Newer changes are still waiting, rendering the section now would undo them on screen
+      if (!this.#queue.size) morphSection(this.sectionId, cart.sections[this.sectionId]);
+    };
+
+    try {
+      // Tracked until the cart events are dispatched, so the cart isn't stale in between
+      await cartStore.track(update());
+    } catch (error) {
+      console.error(error);
+      this.#rollback(updates);
+    } finally {
+      this.#inFlight = null;
+      resetShimmer(this);
+      if (performanceMarker) cartPerformance.measureFromMarker(performanceMarker);
+
+      this.#flushQueue();
+    }
   }
 
   /**
-   * Handles the discount update.
-   * @param {DiscountUpdateEvent} event - The event.
+   * Rolls back the update that was rejected by the cart.
+   * @param {CartErrorEvent} event - The event.
    */
-  handleDiscountUpdate = (event) => {
-    this.#handleCartUpdate(event);
+  #onCartError = (event) => {
+    if (event.detail.sourceId !== this.sectionId || !this.#inFlight) return;
+
+    const { message, description } = event.detail.data;
+    this.#rollback(this.#inFlight, typeof description === 'string' && description ? description : message);
   };
 
   /**
-   * Handles the cart error.
-   * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * Stores the quantities and prices confirmed by the cart on the rows, as the state to roll back to.
+   * Lines the cart couldn't set to the requested quantity, e.g. because of an inventory limit, show an error.
+   * @param {CartResponse} cart - The updated cart.
+   * @param {Map<string, number>} updates - The quantities that were sent.
    */
-  #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
+  #confirm(cart, updates) {
+    const { cartTotal } = this.refs;
 
-    if (!quantityInput) throw new Error('Quantity input not found');
+    for (const row of this.refs.cartItemRows) {
+      const item = cart.items.find(({ key }) => key === row.dataset.key);
 
-    quantityInput.value = quantityInput.defaultValue;
+      row.dataset.quantity = String(item?.quantity ?? 0);
+      row.dataset.linePrice = String(item?.final_line_price ?? 0);
 
+      const quantityInput = row.querySelector('.cart-items__quantity input');
+      if (quantityInput instanceof HTMLInputElement) {
+        quantityInput.defaultValue = row.dataset.quantity;
+        if (!this.#queue.has(row.dataset.key ?? '')) quantityInput.value = row.dataset.quantity;
+      }
+
+      const requested = row.dataset.key ? updates.get(row.dataset.key) : undefined;
+      if (item && requested !== undefined && item.quantity < requested && row.dataset.key) {
+        const message = Theme.translations.cart_quantity_limit ?? '';
+        this.#showLineError(row.dataset.key, message.replace('[quantity]', item.quantity.toString()));
+      }
+    }
+
+    if (cartTotal) cartTotal.dataset.total = String(cart.total_price);
+
+    this.#renderQuantities();
+  }
+
+  /**
+   * Brings lines back to their last confirmed quantity.
+   * @param {Map<string, number>} updates - The quantities that were rejected.
+   * @param {string} [message] - The error to show on the first line.
+   */
+  #rollback(updates, message) {
+    for (const key of updates.keys()) {
+      // A newer change of the line is still waiting, and will be sent on its own
+      if (this.#queue.has(key)) continue;
+
+      const row = this.#getRow(key);
+      if (!row) continue;
+
+      row.hidden = false;
+      row.classList.remove('removing');
+
+      const quantityInput = row.querySelector('.cart-items__quantity input');
+      if (quantityInput instanceof HTMLInputElement) quantityInput.value = row.dataset.quantity ?? '';
+    }
+
+    this.#renderQuantities();
+
+    const [firstKey] = updates.keys();
+    if (message && firstKey) this.#showLineError(firstKey, message);
+  }
+
+  /**
+   * Recalculates the line prices and the cart total from the quantities on screen.
+   * The total is an estimate until the cart is updated, as cart discounts aren't applied.
+   */
+  #renderQuantities() {
+    const { cartTotal, moneyFormat, totalMoneyFormat } = this.refs;
+    let total = Number(cartTotal?.dataset.total) || 0;
+
+    for (const row of this.refs.cartItemRows) {
+      const key = row.dataset.key ?? '';
+      const confirmedQuantity = Number(row.dataset.quantity) || 0;
+      const confirmedPrice = Number(row.dataset.linePrice) || 0;
+      const quantity = this.#queue.get(key) ?? this.#inFlight?.get(key) ?? confirmedQuantity;
+      const unitPrice = confirmedQuantity ? confirmedPrice / confirmedQuantity : 0;
+      const linePrice = Math.round(unitPrice * quantity);
+
+      total += linePrice - confirmedPrice;
+
+      const price = row.querySelector('.cart-items__price text-component');
+      if (price instanceof HTMLElement) setMoney(price, linePrice, moneyFormat);
+    }
+
+    if (cartTotal) setMoney(cartTotal, total, totalMoneyFormat);
+  }
+
+  /**
+   * @param {string} key - The line item key.
+   * @param {string} message - The error.
+   */
+  #showLineError(key, message) {
+    const line = this.refs.cartItemRows.findIndex((row) => row.dataset.key === key) + 1;
     const cartItemError = this.refs[`cartItemError-${line}`];
     const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
 
-    if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
-    if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
+    if (!(cartItemError instanceof HTMLElement) || !(cartItemErrorContainer instanceof HTMLElement)) return;
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
+  }
+
+  /**
+   * @param {string} key - The line item key.
+   */
+  #hideLineError(key) {
+    const line = this.refs.cartItemRows.findIndex((row) => row.dataset.key === key) + 1;
+    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
+
+    if (cartItemErrorContainer instanceof HTMLElement) cartItemErrorContainer.classList.add('hidden');
+  }
+
+  /**
+   * @param {string} key - The line item key.
+   * @returns {HTMLTableRowElement | undefined}
+   */
+  #getRow(key) {
+    return this.refs.cartItemRows.find((row) => row.dataset.key === key);
+  }
+
+  /**
+   * Handles the discount update.
+   * @param {DiscountUpdateEvent} event - The event.
+   */
+  handleDiscountUpdate = (event) => {
+    this.#handleCartUpdate(event);
   };
 
   /**
@@ -227,20 +455,6 @@ class CartItemsComponent extends Component {
     }
   };
 
-  /**
-   * Disables the cart items.
-   */
-  #disableCartItems() {
-    this.classList.add('cart-items-disabled');
-  }
-
-  /**
-   * Enables the cart items.
-   */
-  #enableCartItems() {
-    this.classList.remove('cart-items-disabled');
-  }
-
   /**
    * Gets the section id.
    * @returns {string} The section id.
@@ -254,6 +468,23 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * Shows an amount of money in a text component.
+ * @param {HTMLElement} element - The text component.
+ * @param {number} cents - The amount, in cents.
+ * @param {HTMLTemplateElement | undefined} moneyFormat - The money format, with the currency in `data-currency`.
+ */
+function setMoney(element, cents, moneyFormat) {
+  if (!moneyFormat) return;
+
+  const value = formatCents(cents, moneyFormat.content.textContent || undefined, moneyFormat.dataset.currency);
+
+  if (element.getAttribute('value') === value) return;
+
+  element.setAttribute('value', value);
+  element.textContent = value;
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
@@ -1,15 +1,113 @@
 import { Component } from '@theme/component';
 import { QuantitySelectorUpdateEvent } from '@theme/events';
 
+/**
+ * The quantity rule of a variant, set in the Shopify admin for B2B catalogs and multi-print bundles.
+ * @typedef {object} QuantityRule
+ * @property {number} min - The lowest quantity that can be bought.
+ * @property {number | null} max - The highest quantity that can be bought, null when there's no maximum.
+ * @property {number} increment - Quantities are multiples of the increment.
+ */
+
+/**
+ * Why a quantity was changed to meet the quantity rule:
+ * - `min`: it was below the minimum.
+ * - `max`: it was above the maximum.
+ * - `increment`: it wasn't a multiple of the increment.
+ * @typedef {'min' | 'max' | 'increment'} QuantityAdjustment
+ */
+
+/**
+ * Changes a quantity to the closest one the quantity rule allows.
+ * @param {number} quantity - The quantity the customer asked for.
+ * @param {QuantityRule} rule
+ * @param {boolean} [allowZero] - Whether 0 is allowed, to remove a cart line.
+ * @returns {{ quantity: number, adjustment: QuantityAdjustment | null }}
+ */
+export function snapQuantity(quantity, { min, max, increment }, allowZero = false) {
+  if (allowZero && quantity <= 0) return { quantity: 0, adjustment: null };
+
+  if (!Number.isFinite(quantity) || quantity < min) return { quantity: min, adjustment: 'min' };
+
+  const highest = max ? Math.floor(max / increment) * increment : Infinity;
+  if (quantity > highest) return { quantity: Math.max(highest, min), adjustment: 'max' };
+
+  if (quantity % increment !== 0) {
+    const snapped = Math.min(Math.max(Math.round(quantity / increment) * increment, min), highest);
+    return { quantity: snapped, adjustment: 'increment' };
+  }
+
+  return { quantity, adjustment: null };
+}
+
+/**
+ * Explains why a quantity was changed.
+ * @param {QuantityAdjustment} adjustment
+ * @param {number} quantity - The quantity it was changed to.
+ * @param {QuantityRule} rule
+ * @returns {string}
+ */
+export function describeAdjustment(adjustment, quantity, rule) {
+  const template = Theme.translations[`quantity_adjusted_${adjustment}`] ?? '';
+
+  return template.replace('[quantity]', String(quantity)).replace('[increment]', String(rule.increment));
+}
+
 /**
  * A custom element that allows the user to select a quantity.
  *
+ * The quantity rule of the variant is kept in `data-rule-min`, `data-rule-max` and `data-rule-increment`. The
+ * buttons step by the increment, and a typed quantity is changed to meet the rule when the input loses focus, with
+ * the reason sent along with the update.
+ *
  * @typedef {Object} Refs
  * @property {HTMLInputElement} quantityInput
  *
  * @extends {Component<Refs>}
  */
-class QuantitySelectorComponent extends Component {
+export class QuantitySelectorComponent extends Component {
+  /**
+   * The quantity rule of the variant.
+   * @returns {QuantityRule}
+   */
+  get rule() {
+    const { ruleMin, ruleMax, ruleIncrement } = this.dataset;
+    const increment = Math.max(Number(ruleIncrement) || 1, 1);
+
+    return {
+      min: Math.max(Number(ruleMin) || increment, 1),
+      max: Number(ruleMax) || null,
+      increment,
+    };
+  }
+
+  /**
+   * Takes the quantity rule of another quantity selector, e.g. the one rendered for a newly selected variant.
+   * @param {Element} source - The quantity selector with the new rule.
+   */
+  updateRule(source) {
+    if (!(source instanceof HTMLElement)) return;
+
+    const { quantityInput } = this.refs;
+    const sourceInput = source.querySelector('[ref="quantityInput"]');
+
+    for (const key of /** @type {const} */ (['ruleMin', 'ruleMax', 'ruleIncrement'])) {
+      if (source.dataset[key]) this.dataset[key] = source.dataset[key];
+      else delete this.dataset[key];
+    }
+
+    if (sourceInput instanceof HTMLInputElement) {
+      for (const attribute of ['min', 'max', 'step']) {
+        const value = sourceInput.getAttribute(attribute);
+
+        if (value === null) quantityInput.removeAttribute(attribute);
+        else quantityInput.setAttribute(attribute, value);
+      }
+    }
+
+    if (quantityInput.value) this.#onQuantityChange();
+  }
+
   /**
    * Handles the quantity increase event.
    * @param {Event} event - The event.
@@ -30,7 +128,13 @@ class QuantitySelectorComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     event.preventDefault();
-    this.refs.quantityInput.stepDown();
+
+    const { quantityInput } = this.refs;
+    quantityInput.stepDown();
+
+    // Below the minimum, a cart line is removed rather than kept at the minimum
+    if (quantityInput.min === '0' && Number(quantityInput.value) < this.rule.min) quantityInput.value = '0';
+
     this.#onQuantityChange();
   }
 
@@ -65,21 +169,29 @@ class QuantitySelectorComponent extends Component {
   #onQuantityChange() {
     const { quantityInput } = this.refs;
 
-    this.#checkQuantityRules();
+    const adjustment = this.#checkQuantityRules();
     const newValue = parseInt(quantityInput.value);
 
-    quantityInput.dispatchEvent(new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine)));
+    quantityInput.dispatchEvent(
+      new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine), adjustment)
+    );
   }
 
   /**
-   * Checks the quantity rules are met
+   * Checks the quantity rules are met, and changes the quantity when they aren't.
+   * @returns {string} Why the quantity was changed, empty when it wasn't.
    */
   #checkQuantityRules = () => {
     const { quantityInput } = this.refs;
-    const { min, max, value: newValue } = quantityInput;
+    const { rule } = this;
+
+    // Cart lines can go down to 0 to be removed
+    const allowZero = quantityInput.min === '0';
+    const { quantity, adjustment } = snapQuantity(parseInt(quantityInput.value), rule, allowZero);
+
+    quantityInput.value = String(quantity);
 
-    if (newValue < min && min) quantityInput.value = min;
-    if (newValue > max && max) quantityInput.value = max;
+    return adjustment ? describeAdjustment(adjustment, quantity, rule) : '';
   };
 
   /**
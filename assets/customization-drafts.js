@@ -0,0 +1,239 @@
+import { fetchConfig } from '@theme/utilities';
+
+/**
+ * @typedef {object} DraftPhoto
+ * @property {number} index - The index of the upload slot.
+ * @property {Blob} file - The processed photo, as attached to the slot.
+ * @property {string} name - The file name.
+ * @property {Blob} [original] - The photo as picked by the customer, before it was cropped.
+ * @property {import('./product-image-upload').CropState} [crop] - The crop applied to the original photo.
+ */
+
+/**
+ * @typedef {object} CustomizationDraft
+ * @property {string} key - The key of the draft, made of the product handle and the block ID.
+ * @property {string} handle - The product handle.
+ * @property {string} productId - The product ID.
+ * @property {string} blockId - The ID of the upload block.
+ * @property {number} updatedAt - When the draft was last saved, as a timestamp.
+ * @property {number} expiresAt - When the draft expires, as a timestamp.
+ * @property {DraftPhoto[]} photos - The uploaded photos.
+ * @property {Record<string, string>} properties - The values of the `properties[...]` fields, keyed by field name.
+ */
+
+/**
+ * A draft as synced between the devices of a logged-in customer. Photos are synced by the URL they were uploaded to,
+ * photos that weren't uploaded stay in the browser.
+ * @typedef {object} SyncedDraft
+ * @property {number} updatedAt - When the draft was last saved, as a timestamp.
+ * @property {number} expiresAt - When the draft expires, as a timestamp.
+ * @property {{ index: number, url: string, name: string }[]} photos - The uploaded photos.
+ * @property {Record<string, string>} properties - The values of the `properties[...]` fields, keyed by field name.
+ */
+
+/**
+ * An error thrown when a draft can't be synced.
+ */
+export class DraftSyncError extends Error {
+  /**
+   * @param {string} message - What failed.
+   * @param {number} [status] - The HTTP status of the failed request, if any.
+   */
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Syncs the drafts of the logged-in customer through an app proxy endpoint, which stores them in a customer
+ * metafield so they follow the customer between devices.
+ *
+ * A `GET` to the endpoint with the `handle` and `block_id` parameters responds with `{ draft }`, null when there's
+ * none. A JSON `POST` of `{ handle, blockId, draft }` replaces the draft, or deletes it when `draft` is null. The app
+ * identifies the customer from the `logged_in_customer_id` parameter Shopify adds to app proxy requests.
+ */
+export class DraftSync {
+  /** @type {string} */
+  #endpoint;
+
+  /**
+   * @param {string} endpoint - The URL of the endpoint, e.g. `/apps/customization-drafts`.
+   */
+  constructor(endpoint) {
+    this.#endpoint = endpoint;
+  }
+
+  /**
+   * @param {string} handle - The product handle.
+   * @param {string} blockId - The ID of the upload block.
+   * @returns {Promise<SyncedDraft | null>} The draft, or null if there is none or it expired.
+   */
+  async get(handle, blockId) {
+    const url = new URL(this.#endpoint, window.location.href);
+    url.searchParams.set('handle', handle);
+    url.searchParams.set('block_id', blockId);
+
+    const response = await fetch(url, { headers: { Accept: 'application/json' } }).catch(() => {
+      throw new DraftSyncError('Could not reach the drafts endpoint');
+    });
+
+    if (!response.ok) throw new DraftSyncError('Could not load the draft', response.status);
+
+    /** @type {{ draft: SyncedDraft | null }} */
+    const { draft } = await response.json();
+
+    return draft && draft.expiresAt > Date.now() ? draft : null;
+  }
+
+  /**
+   * @param {string} handle - The product handle.
+   * @param {string} blockId - The ID of the upload block.
+   * @param {SyncedDraft | null} draft - The draft, null to delete it.
+   */
+  async save(handle, blockId, draft) {
+    const response = await fetch(
+      this.#endpoint,
+      fetchConfig('json', { body: JSON.stringify({ handle, blockId, draft }) })
+    ).catch(() => {
+      throw new DraftSyncError('Could not reach the drafts endpoint');
+    });
+
+    if (!response.ok) throw new DraftSyncError('Could not save the draft', response.status);
+  }
+}
+
+/**
+ * Stores in-progress customizations in IndexedDB, so photos and pet names survive a reload.
+ * Drafts live in the customer's browser. For logged-in customers, `DraftSync` also keeps them between devices.
+ */
+export class CustomizationDrafts {
+  /** @static @constant {string} The name of the IndexedDB database */
+  static #DATABASE_NAME = 'customization-drafts';
+  /** @static @constant {string} The name of the object store */
+  static #STORE_NAME = 'drafts';
+  /** @static @constant {number} The version of the database */
+  static #VERSION = 1;
+
+  /** @type {Promise<IDBDatabase> | null} */
+  static #database = null;
+
+  /**
+   * Whether drafts can be stored in this browser.
+   * @returns {boolean}
+   */
+  static get supported() {
+    return 'indexedDB' in window;
+  }
+
+  /**
+   * Gets the draft of a product's upload block, unless it expired.
+   * @param {string} handle - The product handle.
+   * @param {string} blockId - The ID of the upload block.
+   * @returns {Promise<CustomizationDraft | null>} The draft, or null if there is none.
+   */
+  static async get(handle, blockId) {
+    /** @type {CustomizationDraft | undefined} */
+    const draft = await this.#request('readonly', (store) => store.get(this.#key(handle, blockId)));
+
+    if (!draft) return null;
+    if (draft.expiresAt > Date.now()) return draft;
+
+    await this.delete(handle, blockId);
+    return null;
+  }
+
+  /**
+   * Saves the draft of a product's upload block, replacing the previous one.
+   * @param {Omit<CustomizationDraft, 'key' | 'updatedAt'> & { updatedAt?: number }} draft - The draft.
+   */
+  static async save(draft) {
+    const record = { ...draft, key: this.#key(draft.handle, draft.blockId), updatedAt: draft.updatedAt ?? Date.now() };
+
+    await this.#request('readwrite', (store) => store.put(record));
+  }
+
+  /**
+   * Deletes the draft of a product's upload block.
+   * @param {string} handle - The product handle.
+   * @param {string} blockId - The ID of the upload block.
+   */
+  static async delete(handle, blockId) {
+    await this.#request('readwrite', (store) => store.delete(this.#key(handle, blockId)));
+  }
+
+  /**
+   * Gets the handles of the products with a draft, and removes the drafts that expired.
+   * @returns {Promise<string[]>} The product handles.
+   */
+  static async getHandles() {
+    /** @type {CustomizationDraft[]} */
+    const drafts = (await this.#request('readonly', (store) => store.getAll())) ?? [];
+    const now = Date.now();
+    const expired = drafts.filter((draft) => draft.expiresAt <= now);
+
+    if (expired.length) {
+      await this.#request('readwrite', (store) => {
+        for (const draft of expired) store.delete(draft.key);
+        return store.count();
+      });
+    }
+
+    return [...new Set(drafts.filter((draft) => draft.expiresAt > now).map((draft) => draft.handle))];
+  }
+
+  /**
+   * @param {string} handle
+   * @param {string} blockId
+   * @returns {string}
+   */
+  static #key(handle, blockId) {
+    return `${handle}:${blockId}`;
+  }
+
+  /**
+   * Runs a request in a transaction on the drafts store.
+   * @template T
+   * @param {IDBTransactionMode} mode - The transaction mode.
+   * @param {(store: IDBObjectStore) => IDBRequest<T>} callback - Creates the request.
+   * @returns {Promise<T | undefined>} The result of the request, undefined if drafts aren't supported.
+   */
+  static async #request(mode, callback) {
+    if (!this.supported) return undefined;
+
+    const database = await this.#open();
+    const transaction = database.transaction(this.#STORE_NAME, mode);
+    const request = callback(transaction.objectStore(this.#STORE_NAME));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Opens the database once, creating the store on the first visit.
+   * @returns {Promise<IDBDatabase>}
+   */
+  static #open() {
+    if (!this.#database) {
+      this.#database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.#DATABASE_NAME, this.#VERSION);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.#STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let the next call try again, e.g. after the customer left private browsing
+      this.#database.catch(() => {
+        this.#database = null;
+      });
+    }
+
+    return this.#database;
+  }
+}
@@ -0,0 +1,116 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { estimateDelivery, getThemeLeadTime } from '@theme/lead-time';
+
+/**
+ * How often the countdown to the cutoff is updated, in milliseconds.
+ */
+const TICK_INTERVAL = 60 * 1000;
+
+/**
+ * The countdown is only shown in the last hours before the cutoff, so it reads as urgent.
+ */
+const COUNTDOWN_HOURS = 12;
+
+/**
+ * @typedef {object} DeliveryEstimateRefs
+ * @property {HTMLElement} message - The estimate, like "Order within 3h 12m to get it by Fri, Dec 20".
+ */
+
+/**
+ * A custom element that estimates when an order placed now arrives, from the production days of the product, the
+ * production calendar and the transit time to the customer's country, all set in the theme settings.
+ *
+ * The production days of a product can be set with the `custom.production_days` metafield of the variant or the
+ * product. On product pages, the estimate follows the selected variant.
+ *
+ * @extends Component<DeliveryEstimateRefs>
+ */
+class DeliveryEstimateComponent extends Component {
+  requiredRefs = ['message'];
+
+  #abortController = new AbortController();
+
+  /** @type {number | undefined} */
+  #interval;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    this.closest('.shopify-section, dialog')?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, {
+      signal,
+    });
+
+    this.#render();
+    this.#interval = window.setInterval(() => this.#render(), TICK_INTERVAL);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    window.clearInterval(this.#interval);
+  }
+
+  /**
+   * Takes the production days of the selected variant from the new page.
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const estimate = event.detail.data.html.getElementById(this.id);
+
+    if (estimate instanceof HTMLElement) {
+      this.dataset.productionDays = estimate.dataset.productionDays;
+      this.toggleAttribute('hidden', estimate.hasAttribute('hidden'));
+    }
+
+    this.#render();
+  };
+
+  #render() {
+    const { message } = this.refs;
+    const { latest, cutoffIn } = estimateDelivery(getThemeLeadTime(Number(this.dataset.productionDays) || 0));
+
+    // The dates are in the shop's timezone, their local fields are what the customer should read
+    const date = latest.toLocaleDateString(document.documentElement.lang || undefined, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+    });
+
+    const showCountdown = cutoffIn !== null && cutoffIn <= COUNTDOWN_HOURS * 60 * 60 * 1000;
+    const template = (showCountdown ? this.dataset.countdownTemplate : this.dataset.template) ?? '';
+
+    message.textContent = template.replace('[time]', this.#formatDuration(cutoffIn ?? 0)).replace('[date]', date);
+  }
+
+  /**
+   * @param {number} milliseconds
+   * @returns {string} The duration in hours and minutes, like "3h 12m".
+   */
+  #formatDuration(milliseconds) {
+    const totalMinutes = Math.max(1, Math.ceil(milliseconds / (60 * 1000)));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const template = (hours ? this.dataset.hoursTemplate : this.dataset.minutesTemplate) ?? '';
+
+    return template.replace('[hours]', String(hours)).replace('[minutes]', String(minutes));
+  }
+}
+
+if (!customElements.get('delivery-estimate-component')) {
+  customElements.define('delivery-estimate-component', DeliveryEstimateComponent);
+}
@@ -1,13 +1,17 @@
 import { Component } from '@theme/component';
 import { debounce, isClickedOutside, onAnimationEnd } from '@theme/utilities';
 
+/**
+ * @typedef {object} DialogRefs
+ * @property {HTMLDialogElement} dialog – The dialog element.
+ */
+
 /**
  * A custom element that manages a dialog.
  *
- * @typedef {object} Refs
- * @property {HTMLDialogElement} dialog – The dialog element.
+ * @template {import('@theme/component').Refs} [Refs = {}]
  *
- * @extends Component<Refs>
+ * @extends Component<DialogRefs & Refs>
  */
 export class DialogComponent extends Component {
   requiredRefs = ['dialog'];
@@ -0,0 +1,118 @@
+import { ThemeEvents, CartAddEvent, CartUpdateEvent } from '@theme/events';
+import { applyDiscountCodes } from '@theme/cart-discount';
+
+/**
+ * Applies the discount codes of discount links to the cart, so customers see what they save before checkout.
+ *
+ * Codes come from `?discount=CODE` on any page, and from the `discount_code` cookie that Shopify sets when a
+ * `/discounts/CODE` link is followed. They wait in sessionStorage until the cart first updates with items in it,
+ * then they're applied like the customer would, with the discount form of the cart.
+ *
+ * Each code is applied once per session, so a customer who removes one doesn't get it back on the next page.
+ */
+
+const PARAM = 'discount';
+const COOKIE = 'discount_code';
+const PENDING_KEY = 'theme:pending-discount-codes';
+const HANDLED_KEY = 'theme:handled-discount-codes';
+
+/**
+ * @param {string} key
+ * @returns {string[]}
+ */
+function readCodes(key) {
+  try {
+    const codes = JSON.parse(sessionStorage.getItem(key) || '[]');
+    return Array.isArray(codes) ? codes.filter((code) => typeof code === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {string[]} codes
+ */
+function writeCodes(key, codes) {
+  try {
+    if (codes.length) sessionStorage.setItem(key, JSON.stringify(codes));
+    else sessionStorage.removeItem(key);
+  } catch (error) {}
+}
+
+/**
+ * Gets the codes of the discount link the customer arrived from, and removes them from the URL.
+ * @returns {string[]}
+ */
+function captureCodes() {
+  /** @type {string[]} */
+  const codes = [];
+  const url = new URL(window.location.href);
+  const param = url.searchParams.get(PARAM);
+
+  if (param) {
+    codes.push(...param.split(','));
+
+    // Sharing or reloading the page shouldn't apply the code again
+    url.searchParams.delete(PARAM);
+    history.replaceState(history.state, '', url);
+  }
+
+  const cookie = document.cookie.split('; ').find((entry) => entry.startsWith(`${COOKIE}=`));
+  if (cookie) codes.push(...decodeURIComponent(cookie.slice(COOKIE.length + 1)).split(','));
+
+  return codes.map((code) => code.trim()).filter(Boolean);
+}
+
+/**
+ * Applies the waiting codes.
+ */
+async function applyPending() {
+  const codes = readCodes(PENDING_KEY);
+  if (!codes.length) return;
+
+  document.removeEventListener(ThemeEvents.cartUpdate, onCartUpdate);
+  writeCodes(PENDING_KEY, []);
+  writeCodes(HANDLED_KEY, [...readCodes(HANDLED_KEY), ...codes]);
+
+  try {
+    await applyDiscountCodes(codes, 'discount-links');
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+/**
+ * @param {CartAddEvent | CartUpdateEvent} event
+ */
+function onCartUpdate(event) {
+  const { data } = event.detail;
+  const resource = /** @type {{ item_count?: number } | undefined} */ (event.detail.resource);
+  const itemCount = data.itemCount ?? resource?.item_count ?? 0;
+
+  if (!data.didError && itemCount > 0) applyPending();
+}
+
+async function init() {
+  const handled = readCodes(HANDLED_KEY).map((code) => code.toLowerCase());
+  const pending = readCodes(PENDING_KEY);
+  const captured = captureCodes().filter(
+    (code) =>
+      !handled.includes(code.toLowerCase()) && !pending.some((other) => other.toLowerCase() === code.toLowerCase())
+  );
+
+  writeCodes(PENDING_KEY, [...pending, ...captured]);
+  if (!pending.length && !captured.length) return;
+
+  document.addEventListener(ThemeEvents.cartUpdate, onCartUpdate);
+
+  // Carts that already have items don't need to wait for an update
+  try {
+    const response = await fetch(`${Theme.routes.cart_url}.js`);
+    const cart = await response.json();
+
+    if (cart.item_count > 0) applyPending();
+  } catch (error) {}
+}
+
+init();
@@ -26,6 +26,16 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered before a product form adds to the cart */
+  static productFormSubmit = 'product-form:submit';
+  /** @static @constant {string} Event triggered when the number of pets to personalize changes */
+  static petCountUpdate = 'pet-count:update';
+  /** @static @constant {string} Event triggered when a pet photo is attached to or removed from an upload slot */
+  static petPhotoUpdate = 'pet-photo:update';
+  /** @static @constant {string} Event triggered when a paid add-on is selected or its quantity changes */
+  static addonUpdate = 'addon:update';
+  /** @static @constant {string} Event triggered when the list of items saved for later changes */
+  static savedForLaterUpdate = 'saved-for-later:update';
 }
 
 /**
@@ -177,12 +187,14 @@ export class QuantitySelectorUpdateEvent extends Event {
    * Creates a new QuantitySelectorUpdateEvent
    * @param {number} quantity - Quantity value
    * @param {number} [cartLine] - The id of the updated cart line
+   * @param {string} [adjustment] - Why the quantity was changed to meet the quantity rule, empty when it wasn't
    */
-  constructor(quantity, cartLine) {
+  constructor(quantity, cartLine, adjustment = '') {
     super(ThemeEvents.quantitySelectorUpdate, { bubbles: true });
     this.detail = {
       quantity,
       cartLine,
+      adjustment,
     };
   }
 }
@@ -287,3 +299,137 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/**
+ * Event class for product form submissions, fired before the form data is read.
+ * Listeners can delay the cart add until their work is done, e.g. uploading files, with `waitUntil`,
+ * or stop it with `reportError` when a field is invalid. Paid add-ons join the cart add with `addItem`.
+ * @extends {Event}
+ */
+export class ProductFormSubmitEvent extends Event {
+  /**
+   * Creates a new ProductFormSubmitEvent
+   * @param {HTMLFormElement} form - The product form
+   * @param {string} productId - The id of the product being added
+   */
+  constructor(form, productId) {
+    super(ThemeEvents.productFormSubmit, { bubbles: true });
+    this.detail = {
+      form,
+      productId,
+    };
+  }
+
+  /** @type {Promise<unknown>[]} */
+  pending = [];
+
+  /** @type {{ message: string, field?: HTMLElement }[]} */
+  errors = [];
+
+  /** @type {{ id: string, quantity: number }[]} */
+  items = [];
+
+  /**
+   * Delays the cart add until a promise settles.
+   * @param {Promise<unknown>} promise
+   */
+  waitUntil(promise) {
+    this.pending.push(promise);
+  }
+
+  /**
+   * Stops the cart add and announces an error.
+   * @param {string} message - The error, announced through the live region of the form.
+   * @param {HTMLElement} [field] - The invalid field, focused if it's the first error.
+   */
+  reportError(message, field) {
+    this.errors.push({ message, field });
+  }
+
+  /**
+   * Adds another variant to the cart along with the product, e.g. a paid add-on.
+   * @param {string} id - The variant ID.
+   * @param {number} quantity - The quantity per unit of the product.
+   */
+  addItem(id, quantity) {
+    this.items.push({ id, quantity });
+  }
+}
+
+/**
+ * Event class for changes to the number of pets to personalize
+ * @extends {Event}
+ */
+export class PetCountUpdateEvent extends Event {
+  /**
+   * Creates a new PetCountUpdateEvent
+   * @param {number} count - The number of pets
+   * @param {string} productId - The id of the product being personalized
+   */
+  constructor(count, productId) {
+    super(ThemeEvents.petCountUpdate, { bubbles: true });
+    this.detail = {
+      count,
+      productId,
+    };
+  }
+}
+
+/**
+ * Event class for pet photos being attached to or removed from an upload slot
+ * @extends {Event}
+ */
+export class PetPhotoUpdateEvent extends Event {
+  /**
+   * Creates a new PetPhotoUpdateEvent
+   * @param {number} index - The index of the upload slot
+   * @param {File | null} file - The attached photo, null when the slot was cleared
+   * @param {string} productId - The id of the product being personalized
+   */
+  constructor(index, file, productId) {
+    super(ThemeEvents.petPhotoUpdate, { bubbles: true });
+    this.detail = {
+      index,
+      file,
+      productId,
+    };
+  }
+}
+
+/**
+ * Event class for paid add-ons being selected, or their quantity changing
+ * @extends {Event}
+ */
+export class AddonUpdateEvent extends Event {
+  /**
+   * Creates a new AddonUpdateEvent
+   * @param {string} variantId - The variant ID of the add-on
+   * @param {number} quantity - The quantity of the add-on per unit of the product, 0 when it's not selected
+   * @param {string} productId - The id of the product the add-on is for
+   */
+  constructor(variantId, quantity, productId) {
+    super(ThemeEvents.addonUpdate, { bubbles: true });
+    this.detail = {
+      variantId,
+      quantity,
+      productId,
+    };
+  }
+}
+
+/**
+ * Event class for changes to the list of items saved for later
+ * @extends {Event}
+ */
+export class SavedForLaterUpdateEvent extends Event {
+  /**
+   * Creates a new SavedForLaterUpdateEvent
+   * @param {import('./saved-for-later').SavedItem[]} items - The saved items, from the most recently saved
+   */
+  constructor(items) {
+    super(ThemeEvents.savedForLaterUpdate, { bubbles: true });
+    this.detail = {
+      items,
+    };
+  }
+}
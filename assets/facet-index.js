@@ -0,0 +1,599 @@
+import { buildSectionSelector, sectionRenderer } from '@theme/section-renderer';
+import { formatCents, formatMoney } from '@theme/utilities';
+
+/**
+ * @typedef {object} IndexedVariant
+ * @property {boolean} available
+ * @property {number} price - The price in cents.
+ * @property {Record<string, string>} options - The option values, by the handle of the option name.
+ */
+
+/**
+ * @typedef {object} IndexedProduct
+ * @property {number} id
+ * @property {string} title
+ * @property {number} priceMin - The lowest variant price in cents.
+ * @property {number} createdAt - The creation date, in seconds.
+ * @property {string} vendor
+ * @property {string} type
+ * @property {string[]} tags
+ * @property {IndexedVariant[]} variants
+ */
+
+/**
+ * The products of a collection, rendered by templates/collection.product-index.liquid.
+ * @typedef {object} ProductIndex
+ * @property {number} productsCount
+ * @property {string} sortBy - The default sort order of the collection, which the products are in.
+ * @property {IndexedProduct[]} products
+ */
+
+/**
+ * The filters of a URL that the index can apply.
+ * @typedef {object} IndexQuery
+ * @property {Map<string, Set<string>>} selections - The selected values, by filter parameter.
+ * @property {number | null} minPrice - In cents.
+ * @property {number | null} maxPrice - In cents.
+ * @property {string} sortBy
+ */
+
+const OPTION_PARAMETER_PREFIX = 'filter.v.option.';
+
+const PRICE_PARAMETER = 'filter.v.price';
+
+/**
+ * How each product filter reads its values.
+ * @type {Record<string, (product: IndexedProduct) => string[]>}
+ */
+const PRODUCT_FILTERS = {
+  'filter.p.vendor': (product) => [product.vendor],
+  'filter.p.product_type': (product) => [product.type],
+  'filter.p.tag': (product) => product.tags,
+};
+
+/**
+ * How each sort order compares products, apart from the default order of the collection.
+ * @type {Record<string, (a: IndexedProduct, b: IndexedProduct) => number>}
+ */
+const SORT_ORDERS = {
+  'title-ascending': (a, b) => a.title.localeCompare(b.title),
+  'title-descending': (a, b) => b.title.localeCompare(a.title),
+  'price-ascending': (a, b) => a.priceMin - b.priceMin,
+  'price-descending': (a, b) => b.priceMin - a.priceMin,
+  'created-ascending': (a, b) => a.createdAt - b.createdAt,
+  'created-descending': (a, b) => b.createdAt - a.createdAt,
+};
+
+/**
+ * Filters, sorts and counts the products of small collections in the browser, so filtering doesn't wait for the
+ * Section Rendering API. The product grid, the counts of the facet values, the pills of the active filters and the
+ * histogram of the prices are all rendered from the index.
+ *
+ * The products are fetched once from the `product-index` alternate template, when the filters block renders a
+ * `<template id="FacetIndex-[section id]">` with its URL and the pills of the values it can filter by. The cards of
+ * the products are the ones the section renders, loaded once from the pages of the collection when the shopper
+ * starts filtering.
+ * Filters the index can't apply, like metafields, and searches are left to the server.
+ */
+class FacetIndex {
+  /**
+   * The loaded indexes, by URL.
+   * @type {Map<string, ProductIndex>}
+   */
+  #indexes = new Map();
+
+  /**
+   * The pending requests for indexes, by URL.
+   * @type {Map<string, Promise<ProductIndex | null>>}
+   */
+  #pendingRequests = new Map();
+
+  /**
+   * The cards rendered by the server, by product ID.
+   * @type {Map<string, HTMLElement>}
+   */
+  #cards = new Map();
+
+  /**
+   * The requests for the cards of every product, by collection URL.
+   * @type {Map<string, Promise<void>>}
+   */
+  #cardRequests = new Map();
+
+  /**
+   * The search of the URL each section's products were last rendered for, by section ID.
+   * @type {Map<string, string>}
+   */
+  #renderedSearches = new Map();
+
+  /**
+   * Fetches the index of a section, unless it's been fetched already.
+   * @param {string} sectionId
+   * @returns {Promise<ProductIndex | null>} The index, null when the section has none or it couldn't be fetched.
+   */
+  load(sectionId) {
+    const template = getIndexTemplate(sectionId);
+    const url = template?.dataset.url;
+    if (!template || !url) return Promise.resolve(null);
+
+    const index = this.#indexes.get(url);
+    if (index) return Promise.resolve(index);
+
+    let pendingRequest = this.#pendingRequests.get(url);
+    if (pendingRequest) return pendingRequest;
+
+    pendingRequest = fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Failed to fetch the product index: ${response.status}`);
+        return response.json();
+      })
+      .then((/** @type {ProductIndex} */ index) => {
+        // Larger collections don't fit in one page of the template
+        if (index.products.length < index.productsCount) return null;
+
+        this.#indexes.set(url, index);
+        this.renderHistogram(sectionId);
+        return index;
+      })
+      .catch((error) => {
+        console.error(error);
+        return null;
+      })
+      .finally(() => this.#pendingRequests.delete(url));
+
+    this.#pendingRequests.set(url, pendingRequest);
+    return pendingRequest;
+  }
+
+  /**
+   * Renders the products of a section that match the filters of the current URL, with the counts of the facet values
+   * and the pills of the active filters.
+   * @param {string} sectionId
+   * @returns {boolean} Whether the products were rendered, false when the server has to render them.
+   */
+  render(sectionId) {
+    this.#renderedSearches.delete(sectionId);
+
+    const { template, index, section } = this.#getIndex(sectionId);
+    const grid = section?.querySelector('[ref="grid"]');
+
+    if (!template || !index || !section || !(grid instanceof HTMLElement)) {
+      this.load(sectionId);
+      return false;
+    }
+
+    const query = parseQuery(new URLSearchParams(window.location.search), index);
+    if (!query) return false;
+
+    const products = index.products.filter((product) => matches(product, query));
+    // The server renders the empty state
+    if (products.length === 0) return false;
+
+    const compare = SORT_ORDERS[query.sortBy];
+    if (compare) products.sort(compare);
+
+    this.#keepCards(grid);
+
+    const cards = products.flatMap((product) => this.#cards.get(String(product.id)) ?? []);
+
+    // The cards of some products are still loading, or couldn't be loaded
+    if (cards.length < products.length) {
+      this.#loadCards(sectionId, template);
+      return false;
+    }
+
+    for (const card of cards) card.dataset.page = '1';
+
+    grid.replaceChildren(...cards);
+    // Every product is on the page, there's nothing left to load while scrolling
+    grid.dataset.lastPage = '1';
+
+    updateFacets(section, index.products, query);
+    updatePriceHistogram(section, index.products, query);
+    updatePriceInputs(section);
+    renderPills(section, template, query);
+    updateProductsCount(section, template, products.length);
+    updateSeeResults(section, template, products.length);
+
+    this.#renderedSearches.set(sectionId, window.location.search);
+    return true;
+  }
+
+  /**
+   * Whether the products of a section were rendered from the index for the filters of the current URL, rather than
+   * by the server.
+   * @param {string} sectionId
+   * @returns {boolean}
+   */
+  isRendered(sectionId) {
+    return this.#renderedSearches.get(sectionId) === window.location.search;
+  }
+
+  /**
+   * Loads the cards of the products the section doesn't show, so they're ready when the filters change.
+   * @param {string} sectionId
+   * @returns {Promise<void>}
+   */
+  async loadCards(sectionId) {
+    await this.load(sectionId);
+
+    const { template, index, section } = this.#getIndex(sectionId);
+    const grid = section?.querySelector('[ref="grid"]');
+    if (!template || !index || !(grid instanceof HTMLElement)) return;
+
+    this.#keepCards(grid);
+
+    // Collections that fit in one page show every card already
+    if (index.products.some((product) => !this.#cards.has(String(product.id)))) {
+      await this.#loadCards(sectionId, template);
+    }
+  }
+
+  /**
+   * Counts the products of each facet value for a selection that isn't applied yet, like in a filter drawer that
+   * applies the filters when it closes.
+   * @param {string} sectionId
+   * @param {URLSearchParams} parameters - The parameters of the selection.
+   * @returns {boolean} Whether the counts were rendered, false when the server has to count them.
+   */
+  renderCounts(sectionId, parameters) {
+    const { template, index, section } = this.#getIndex(sectionId);
+    if (!template || !index || !section) return false;
+
+    const query = parseQuery(parameters, index);
+    if (!query) return false;
+
+    updateFacets(section, index.products, query);
+    updatePriceHistogram(section, index.products, query);
+    updateSeeResults(section, template, index.products.filter((product) => matches(product, query)).length);
+
+    return true;
+  }
+
+  /**
+   * Draws the histogram of the prices for the filters of the current URL, e.g. after the server rendered the section.
+   * @param {string} sectionId
+   */
+  renderHistogram(sectionId) {
+    const { index, section } = this.#getIndex(sectionId);
+    if (!index || !section) return;
+
+    const query = parseQuery(new URLSearchParams(window.location.search), index);
+    if (query) updatePriceHistogram(section, index.products, query);
+  }
+
+  /**
+   * @param {string} sectionId
+   * @returns {{ template?: HTMLTemplateElement, index?: ProductIndex, section?: HTMLElement }} The template, the
+   * loaded index and the section element, when there are.
+   */
+  #getIndex(sectionId) {
+    const template = getIndexTemplate(sectionId) ?? undefined;
+    const index = template?.dataset.url ? this.#indexes.get(template.dataset.url) : undefined;
+    const section = document.getElementById(buildSectionSelector(sectionId)) ?? undefined;
+
+    return { template, index, section };
+  }
+
+  /**
+   * Keeps the cards a grid shows, to render them again for other filters.
+   * @param {HTMLElement} grid
+   */
+  #keepCards(grid) {
+    for (const card of grid.querySelectorAll(':scope > [data-product-id]')) {
+      if (card instanceof HTMLElement && card.dataset.productId) this.#cards.set(card.dataset.productId, card);
+    }
+  }
+
+  /**
+   * Loads the cards of every product once, from the pages of the collection without filters.
+   * @param {string} sectionId
+   * @param {HTMLTemplateElement} template
+   * @returns {Promise<void>}
+   */
+  #loadCards(sectionId, template) {
+    const { collectionUrl } = template.dataset;
+    if (!collectionUrl) return Promise.resolve();
+
+    let request = this.#cardRequests.get(collectionUrl);
+    if (request) return request;
+
+    /**
+     * @param {number} page
+     * @returns {Promise<number>} The last page of the collection.
+     */
+    const loadPage = async (page) => {
+      const url = new URL(collectionUrl, window.location.origin);
+      url.searchParams.set('page', String(page));
+
+      const html = await sectionRenderer.getSectionHTML(sectionId, true, url);
+      const grid = new DOMParser()
+        .parseFromString(html, 'text/html')
+        .getElementById(buildSectionSelector(sectionId))
+        ?.querySelector('[ref="grid"]');
+
+      if (!(grid instanceof HTMLElement)) throw new Error(`Failed to load the product cards of page ${page}`);
+
+      for (const card of grid.querySelectorAll(':scope > [data-product-id]')) {
+        const { productId } = card instanceof HTMLElement ? card.dataset : {};
+        if (productId && !this.#cards.has(productId)) this.#cards.set(productId, /** @type {HTMLElement} */ (card));
+      }
+
+      return Number(grid.dataset.lastPage) || 1;
+    };
+
+    request = loadPage(1)
+      .then((lastPage) => Promise.all(Array.from({ length: lastPage - 1 }, (_, index) => loadPage(index + 2))))
+      .then(() => {})
+      .catch((error) => {
+        console.error(error);
+        // Tried again on the next render
+        this.#cardRequests.delete(collectionUrl);
+      });
+
+    this.#cardRequests.set(collectionUrl, request);
+    return request;
+  }
+}
+
+/**
+ * @param {string} sectionId
+ * @returns {HTMLTemplateElement | null}
+ */
+function getIndexTemplate(sectionId) {
+  const template = document.getElementById(`FacetIndex-${sectionId}`);
+  return template instanceof HTMLTemplateElement ? template : null;
+}
+
+/**
+ * Reads the filters and the sort order of a URL.
+ * @param {URLSearchParams} parameters
+ * @param {ProductIndex} index
+ * @returns {IndexQuery | null} The query, null when the index can't apply it.
+ */
+function parseQuery(parameters, index) {
+  /** @type {IndexQuery} */
+  const query = { selections: new Map(), minPrice: null, maxPrice: null, sortBy: index.sortBy };
+
+  for (const [name, value] of parameters) {
+    if (name === 'q') return null;
+
+    if (name === 'sort_by') {
+      if (value !== index.sortBy && !SORT_ORDERS[value]) return null;
+      query.sortBy = value;
+    } else if (name === 'filter.v.price.gte' || name === 'filter.v.price.lte') {
+      const cents = Math.round(Number(formatMoney(value)) * 100);
+      if (Number.isNaN(cents)) return null;
+
+      if (name === 'filter.v.price.gte') query.minPrice = cents;
+      else query.maxPrice = cents;
+    } else if (name.startsWith('filter.')) {
+      if (!isSupported(name)) return null;
+
+      const values = query.selections.get(name) ?? new Set();
+      query.selections.set(name, values.add(value));
+    }
+  }
+
+  return query;
+}
+
+/**
+ * @param {string} name - The parameter of a filter
+ * @returns {boolean} Whether the index can apply the filter.
+ */
+function isSupported(name) {
+  return name in PRODUCT_FILTERS || name === 'filter.v.availability' || name.startsWith(OPTION_PARAMETER_PREFIX);
+}
+
+/**
+ * @param {IndexedVariant} variant
+ * @param {string} name - The parameter of a variant filter
+ * @returns {string}
+ */
+function getVariantValue(variant, name) {
+  if (name === 'filter.v.availability') return variant.available ? '1' : '0';
+
+  return variant.options[name.slice(OPTION_PARAMETER_PREFIX.length)] ?? '';
+}
+
+/**
+ * Checks a product matches a query: one of the selected values of every filter, with variant filters and the price
+ * range met by the same variant.
+ * @param {IndexedProduct} product
+ * @param {IndexQuery} query
+ * @returns {boolean}
+ */
+function matches(product, { selections, minPrice, maxPrice }) {
+  for (const [name, values] of selections) {
+    const getValues = PRODUCT_FILTERS[name];
+    if (getValues && !getValues(product).some((value) => values.has(value))) return false;
+  }
+
+  return product.variants.some((variant) => {
+    if (minPrice !== null && variant.price < minPrice) return false;
+    if (maxPrice !== null && variant.price > maxPrice) return false;
+
+    for (const [name, values] of selections) {
+      if (!PRODUCT_FILTERS[name] && !values.has(getVariantValue(variant, name))) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Checks the facet values of a query, and counts the products of each value with the other filters applied. Values
+ * no product would match are disabled.
+ * @param {HTMLElement} section
+ * @param {IndexedProduct[]} products
+ * @param {IndexQuery} query
+ */
+function updateFacets(section, products, query) {
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+
+  for (const input of section.querySelectorAll('facets-form-component input[type="checkbox"][name^="filter."]')) {
+    if (!(input instanceof HTMLInputElement) || !isSupported(input.name)) continue;
+
+    const key = `${input.name}=${input.value}`;
+    let count = counts.get(key);
+
+    if (count === undefined) {
+      const selections = new Map(query.selections).set(input.name, new Set([input.value]));
+      count = products.filter((product) => matches(product, { ...query, selections })).length;
+      counts.set(key, count);
+    }
+
+    input.checked = query.selections.get(input.name)?.has(input.value) ?? false;
+    input.disabled = count === 0 && !input.checked;
+
+    // The drawer shows the count of each value
+    if (input.dataset.count !== undefined) {
+      const countElement = input.parentElement?.querySelector('.checkbox__label-count');
+
+      input.dataset.count = String(count);
+      if (countElement) countElement.textContent = `(${count})`;
+    }
+  }
+}
+
+/**
+ * Counts the prices of the products that match the other filters in the bars of the price histogram, so the prices
+ * outside the selected range are still shown.
+ * @param {HTMLElement} section
+ * @param {IndexedProduct[]} products
+ * @param {IndexQuery} query
+ */
+function updatePriceHistogram(section, products, query) {
+  const prices = products
+    .filter((product) => matches(product, { ...query, minPrice: null, maxPrice: null }))
+    .map((product) => product.priceMin);
+
+  for (const histogram of section.querySelectorAll('.range-slider__histogram')) {
+    const bars = Array.from(histogram.querySelectorAll('.price-facet__bar')).filter(
+      (bar) => bar instanceof HTMLElement
+    );
+
+    // The last bar counts the prices above it too
+    const counts = bars.map(({ dataset }, index) => {
+      const min = Number(dataset.min);
+      const max = index === bars.length - 1 ? Infinity : Number(dataset.max);
+
+      return prices.filter((price) => price >= min && price < max).length;
+    });
+    const maxCount = Math.max(0, ...counts);
+
+    bars.forEach((bar, index) => {
+      const count = counts[index] ?? 0;
+
+      bar.dataset.count = String(count);
+      bar.style.setProperty('--bar-height', `${maxCount ? (count / maxCount) * 100 : 0}%`);
+    });
+  }
+}
+
+/**
+ * Sets the price inputs to the price range of the current URL, which changes when its pill is removed.
+ * @param {HTMLElement} section
+ */
+function updatePriceInputs(section) {
+  const parameters = new URLSearchParams(window.location.search);
+
+  for (const name of [`${PRICE_PARAMETER}.gte`, `${PRICE_PARAMETER}.lte`]) {
+    for (const input of section.querySelectorAll(`facets-form-component input[name="${name}"]`)) {
+      if (input instanceof HTMLInputElement) input.value = parameters.get(name) ?? '';
+    }
+  }
+}
+
+/**
+ * Renders the pills of the active filters, from the pills of the template, each with the URL without its filter.
+ * @param {HTMLElement} section
+ * @param {HTMLTemplateElement} template
+ * @param {IndexQuery} query
+ */
+function renderPills(section, template, query) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('page');
+
+  /** @type {HTMLElement[]} */
+  const pills = [];
+
+  for (const pill of template.content.querySelectorAll('.facets-remove__pill')) {
+    if (!(pill instanceof HTMLElement)) continue;
+
+    const { paramName = '', value = '' } = pill.dataset;
+    const removeUrl = new URL(url);
+    const newPill = /** @type {HTMLElement} */ (pill.cloneNode(true));
+
+    if (paramName === PRICE_PARAMETER) {
+      if (query.minPrice === null && query.maxPrice === null) continue;
+
+      const label = newPill.querySelector('.facets-remove__label');
+      if (label) label.textContent = getPriceLabel(template, query);
+
+      removeUrl.searchParams.delete(`${PRICE_PARAMETER}.gte`);
+      removeUrl.searchParams.delete(`${PRICE_PARAMETER}.lte`);
+    } else {
+      if (!query.selections.get(paramName)?.has(value)) continue;
+
+      removeUrl.searchParams.delete(paramName, value);
+    }
+
+    newPill.dataset.url = `${removeUrl.pathname}${removeUrl.search}`;
+    pills.push(newPill);
+  }
+
+  for (const container of section.querySelectorAll('.facets-remove')) {
+    for (const pill of container.querySelectorAll(':scope > .facets-remove__pill')) pill.remove();
+
+    // The clear all button stays after the pills
+    const clearAll = container.querySelector(':scope > facet-remove-component');
+    const newPills = pills.map((pill) => /** @type {HTMLElement} */ (pill.cloneNode(true)));
+
+    if (clearAll) clearAll.before(...newPills);
+    else container.append(...newPills);
+  }
+}
+
+/**
+ * Formats the price range of a query like the pill the server renders for it.
+ * @param {HTMLTemplateElement} template
+ * @param {IndexQuery} query
+ * @returns {string}
+ */
+function getPriceLabel(template, { minPrice, maxPrice }) {
+  const { moneyFormat, currency, priceRangeMax = '0' } = template.dataset;
+  const format = (/** @type {number} */ cents) => formatCents(cents, moneyFormat, currency);
+
+  return `${format(minPrice ?? 0)}–${format(maxPrice ?? Number(priceRangeMax))}`;
+}
+
+/**
+ * @param {HTMLElement} section
+ * @param {HTMLTemplateElement} template
+ * @param {number} count
+ */
+function updateProductsCount(section, template, count) {
+  const { countTemplate = '' } = template.dataset;
+
+  for (const element of section.querySelectorAll('.products-count-wrapper > span')) {
+    element.textContent = countTemplate.replace('[count]', String(count));
+  }
+}
+
+/**
+ * @param {HTMLElement} section
+ * @param {HTMLTemplateElement} template
+ * @param {number} count
+ */
+function updateSeeResults(section, template, count) {
+  const { seeItemsTemplate = '' } = template.dataset;
+
+  for (const element of section.querySelectorAll('.facets__see-results')) {
+    element.textContent = seeItemsTemplate.replace('[count]', String(count));
+  }
+}
+
+export const facetIndex = new FacetIndex();
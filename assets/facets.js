@@ -1,7 +1,9 @@
-import { sectionRenderer } from '@theme/section-renderer';
+import { normalizeSectionId, sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
+import { DialogCloseEvent } from '@theme/dialog';
+import { facetIndex } from '@theme/facet-index';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { debounce, formatCents, formatMoney, requestIdleCallback, startViewTransition } from '@theme/utilities';
 
 /**
  * Search query parameter.
@@ -21,6 +23,54 @@ const SEARCH_QUERY = 'q';
 class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  #abortController = new AbortController();
+
+  /**
+   * Aborts the pending request for the counts of the facet values.
+   * @type {AbortController | undefined}
+   */
+  #countsAbortController;
+
+  /**
+   * Whether the selection changed since the filters were last applied, with `apply-on-close`.
+   */
+  #hasPendingSelection = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Small collections are filtered in the browser once their products are loaded
+    requestIdleCallback(() => facetIndex.load(this.sectionId));
+
+    // The cards of the products are only loaded for shoppers who start filtering
+    for (const type of ['pointerdown', 'focusin']) {
+      this.addEventListener(type, () => facetIndex.loadCards(this.sectionId), {
+        once: true,
+        signal: this.#abortController.signal,
+      });
+    }
+
+    if (this.hasAttribute('apply-on-close')) {
+      this.closest('dialog-component')?.addEventListener(DialogCloseEvent.eventName, this.#applyPendingSelection, {
+        signal: this.#abortController.signal,
+      });
+    }
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The server renders the bars of the price histogram without their counts
+    facetIndex.renderHistogram(this.sectionId);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#cancelCountsUpdate();
+  }
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -71,18 +121,101 @@ class FacetsFormComponent extends Component {
   }
 
   /**
-   * Updates filters and renders the section
+   * Updates filters and renders the section. With `apply-on-close`, the selection is kept pending until the dialog
+   * closes, and the counts of the facet values are updated instead.
    */
   updateFilters = () => {
+    if (this.hasAttribute('apply-on-close')) {
+      this.#hasPendingSelection = true;
+      if (facetIndex.renderCounts(this.sectionId, this.createURLParameters())) this.#cancelCountsUpdate();
+      else this.#updateCounts();
+      return;
+    }
+
+    this.#applyFilters();
+  };
+
+  #applyFilters() {
     this.#updateURLHash();
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
+  }
+
+  #applyPendingSelection = () => {
+    this.#cancelCountsUpdate();
+
+    if (!this.#hasPendingSelection) return;
+
+    this.#hasPendingSelection = false;
+    this.#applyFilters();
   };
 
   /**
-   * Updates the section
+   * Fetches the section for the pending selection, in one request for all the facets, and shows the count each
+   * value would have. Values without results are disabled, unless they're selected.
+   */
+  #updateCounts = debounce(async () => {
+    this.#countsAbortController?.abort();
+
+    const abortController = new AbortController();
+    this.#countsAbortController = abortController;
+
+    const url = new URL(window.location.pathname, window.location.origin);
+    for (const [param, value] of this.createURLParameters()) url.searchParams.append(param, value);
+    url.searchParams.set('section_id', normalizeSectionId(this.sectionId));
+
+    this.setAttribute('aria-busy', 'true');
+
+    try {
+      const response = await fetch(url, { signal: abortController.signal });
+      const html = await response.text();
+      const newForm = new DOMParser().parseFromString(html, 'text/html').getElementById(this.id);
+
+      if (newForm) this.#renderCounts(newForm);
+    } catch (error) {
+      if (!abortController.signal.aborted) console.error(error);
+    } finally {
+      if (this.#countsAbortController === abortController) this.removeAttribute('aria-busy');
+    }
+  }, 200);
+
+  #cancelCountsUpdate() {
+    this.#updateCounts.cancel();
+    this.#countsAbortController?.abort();
+    this.removeAttribute('aria-busy');
+  }
+
+  /**
+   * @param {HTMLElement} newForm - The form rendered for the pending selection
+   */
+  #renderCounts(newForm) {
+    for (const input of this.querySelectorAll('input[type="checkbox"][data-count]')) {
+      if (!(input instanceof HTMLInputElement)) continue;
+
+      const newInput = newForm.querySelector(
+        `input[type="checkbox"][name="${CSS.escape(input.name)}"][value="${CSS.escape(input.value)}"]`
+      );
+      const count = newInput instanceof HTMLElement ? (newInput.dataset.count ?? '0') : '0';
+      const countElement = input.parentElement?.querySelector('.checkbox__label-count');
+
+      input.dataset.count = count;
+      input.disabled = count === '0' && !input.checked;
+      if (countElement) countElement.textContent = `(${count})`;
+    }
+
+    const seeResults = this.closest('dialog')?.querySelector('.facets__see-results');
+    const newSeeResults = newForm.ownerDocument.querySelector(
+      `#${CSS.escape(this.id)} ~ .facets__actions .facets__see-results`
+    );
+    if (seeResults && newSeeResults) seeResults.textContent = newSeeResults.textContent;
+  }
+
+  /**
+   * Updates the section, from the product index when the collection has one and it can apply the filters
    */
   #updateSection() {
+    if (facetIndex.render(this.sectionId)) return;
+
     const viewTransition = !this.closest('dialog');
 
     if (viewTransition) {
@@ -97,9 +230,13 @@ class FacetsFormComponent extends Component {
    * @param {string} url - The URL to update filters with
    */
   updateFiltersByURL(url) {
+    this.#hasPendingSelection = false;
+    this.#cancelCountsUpdate();
+
     history.pushState('', '', url);
-    this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
+    // The product index sets the inputs to the new URL, before the facets are told about it
     this.#updateSection();
+    this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
   }
 }
 
@@ -117,6 +254,16 @@ if (!customElements.get('facets-form-component')) {
  * @extends {Component<FacetInputsRefs>}
  */
 class FacetInputsComponent extends Component {
+  connectedCallback() {
+    super.connectedCallback();
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#updateSelectedFacetSummary);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#updateSelectedFacetSummary);
+  }
+
   get sectionId() {
     const id = this.closest('.shopify-section')?.id;
     if (!id) throw new Error('FacetInputs component must be a child of a section');
@@ -186,9 +333,9 @@ class FacetInputsComponent extends Component {
   cancelPrefetchPage = () => this.prefetchPage.cancel();
 
   /**
-   * Updates the selected facet summary
+   * Updates the selected facet summary, also when the filters are applied without rendering the section again
    */
-  #updateSelectedFacetSummary() {
+  #updateSelectedFacetSummary = () => {
     if (!this.refs.facetInputs) return;
 
     const checkedInputElements = this.refs.facetInputs.filter((input) => input.checked);
@@ -198,7 +345,7 @@ class FacetInputsComponent extends Component {
     if (!(statusComponent instanceof FacetStatusComponent)) return;
 
     statusComponent.updateListSummary(checkedInputElements);
-  }
+  };
 }
 
 if (!customElements.get('facet-inputs-component')) {
@@ -207,23 +354,42 @@ if (!customElements.get('facet-inputs-component')) {
 
 /**
  * @typedef {Object} PriceFacetRefs
- * @property {HTMLInputElement} minInput - The minimum price input
- * @property {HTMLInputElement} maxInput - The maximum price input
+ * @property {HTMLInputElement} [minInput] - The minimum price input
+ * @property {HTMLInputElement} [maxInput] - The maximum price input
+ * @property {HTMLInputElement} [minThumb] - The minimum thumb of the range slider
+ * @property {HTMLInputElement} [maxThumb] - The maximum thumb of the range slider
+ * @property {HTMLElement} [sliderTrack] - The track of the range slider
+ * @property {HTMLElement[]} [histogramBars] - The bars of the histogram, with the `data-min` and `data-max` they count
+ * @property {HTMLInputElement[]} [rangeValues] - The values of a numeric metafield filter, in order
  */
 
 /**
- * Handles price facet functionality
+ * Handles price facet functionality, and numeric metafield filters like sizes.
+ *
+ * The range slider sets the price inputs, or checks the metafield values between its thumbs, and the filters are
+ * applied when a thumb is released.
+ *
  * @extends {Component<PriceFacetRefs>}
  */
 class PriceFacetComponent extends Component {
   connectedCallback() {
     super.connectedCallback();
     this.addEventListener('keydown', this.#onKeyDown);
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#onFilterUpdate);
+
+    this.#syncSlider();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#syncSlider();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('keydown', this.#onKeyDown);
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#onFilterUpdate);
   }
 
   /**
@@ -232,19 +398,50 @@ class PriceFacetComponent extends Component {
    */
   #onKeyDown = (event) => {
     if (event.metaKey) return;
+    // The thumbs of the slider take Home, End and Page Up/Down too
+    if (event.target instanceof HTMLInputElement && event.target.type === 'range') return;
 
     const pattern = /[0-9]|\.|,|'| |Tab|Backspace|Enter|ArrowUp|ArrowDown|ArrowLeft|ArrowRight|Delete|Escape/;
     if (!event.key.match(pattern)) event.preventDefault();
   };
 
+  /**
+   * Follows the inputs, which the product index sets when the filters are applied without rendering the section
+   */
+  #onFilterUpdate = () => {
+    this.#syncSlider();
+    this.#updateSummary();
+  };
+
+  /**
+   * Moves a thumb of the range slider, without applying the filter until it's released
+   * @param {Event} event - The input event
+   */
+  handleSliderInput(event) {
+    const { minThumb, maxThumb } = this.refs;
+    if (!minThumb || !maxThumb) return;
+
+    // Keep the thumbs from crossing
+    if (Number(minThumb.value) > Number(maxThumb.value)) {
+      if (event.target === minThumb) minThumb.value = maxThumb.value;
+      else maxThumb.value = minThumb.value;
+    }
+
+    this.#setValuesFromSlider();
+    this.#renderSlider();
+    this.#updateSummary();
+  }
+
   /**
    * Updates price filter and results
    */
   updatePriceFilterAndResults() {
     const { minInput, maxInput } = this.refs;
 
-    this.#adjustToValidValues(minInput);
-    this.#adjustToValidValues(maxInput);
+    if (minInput && maxInput) {
+      this.#adjustToValidValues(minInput);
+      this.#adjustToValidValues(maxInput);
+    }
 
     const facetsForm = this.closest('facets-form-component');
     if (!(facetsForm instanceof FacetsFormComponent)) return;
@@ -252,6 +449,7 @@ class PriceFacetComponent extends Component {
     facetsForm.updateFilters();
     this.#setMinAndMaxValues();
     this.#updateSummary();
+    this.#syncSlider();
   }
 
   /**
@@ -274,6 +472,7 @@ class PriceFacetComponent extends Component {
    */
   #setMinAndMaxValues() {
     const { minInput, maxInput } = this.refs;
+    if (!minInput || !maxInput) return;
 
     if (maxInput.value) minInput.setAttribute('data-max', maxInput.value);
     if (minInput.value) maxInput.setAttribute('data-min', minInput.value);
@@ -281,17 +480,109 @@ class PriceFacetComponent extends Component {
     if (maxInput.value === '') minInput.setAttribute('data-max', maxInput.getAttribute('data-max') ?? '');
   }
 
+  /**
+   * Sets the price inputs, or checks the metafield values, from the thumbs of the slider. The whole range doesn't
+   * filter anything.
+   */
+  #setValuesFromSlider() {
+    const { minThumb, maxThumb, minInput, maxInput, rangeValues } = this.refs;
+    if (!minThumb || !maxThumb) return;
+
+    const min = Number(minThumb.value);
+    const max = Number(maxThumb.value);
+
+    if (rangeValues?.length) {
+      const isWholeRange = min === Number(minThumb.min) && max === Number(maxThumb.max);
+
+      rangeValues.forEach((input, index) => (input.checked = !isWholeRange && index >= min && index <= max));
+    } else if (minInput && maxInput) {
+      minInput.value = min === Number(minThumb.min) ? '' : (min / 100).toString();
+      maxInput.value = max === Number(maxThumb.max) ? '' : (max / 100).toString();
+    }
+  }
+
+  /**
+   * Moves the thumbs of the slider to the price inputs, or to the checked metafield values
+   */
+  #syncSlider = () => {
+    const { minThumb, maxThumb, minInput, maxInput, rangeValues } = this.refs;
+    if (!minThumb || !maxThumb) return;
+
+    if (rangeValues?.length) {
+      const checked = rangeValues.flatMap((input, index) => (input.checked ? [index] : []));
+
+      minThumb.value = String(checked[0] ?? minThumb.min);
+      maxThumb.value = String(checked[checked.length - 1] ?? maxThumb.max);
+    } else if (minInput && maxInput) {
+      minThumb.value = minInput.value ? String(Math.round(Number(formatMoney(minInput.value)) * 100)) : minThumb.min;
+      maxThumb.value = maxInput.value ? String(Math.round(Number(formatMoney(maxInput.value)) * 100)) : maxThumb.max;
+    }
+
+    this.#renderSlider();
+  };
+
+  /**
+   * Renders the selected range on the track and the histogram, and describes the thumbs
+   */
+  #renderSlider() {
+    const { minThumb, maxThumb, sliderTrack, histogramBars = [] } = this.refs;
+    if (!minThumb || !maxThumb) return;
+
+    const lowest = Number(minThumb.min);
+    const highest = Number(maxThumb.max);
+    const min = Number(minThumb.value);
+    const max = Number(maxThumb.value);
+    const toPercent = (/** @type {number} */ value) =>
+      highest > lowest ? `${((value - lowest) / (highest - lowest)) * 100}%` : '0%';
+
+    sliderTrack?.style.setProperty('--range-slider-start', toPercent(min));
+    sliderTrack?.style.setProperty('--range-slider-end', toPercent(max));
+
+    for (const bar of histogramBars) {
+      const inRange = Number(bar.dataset.max) >= min && Number(bar.dataset.min) <= max;
+      bar.toggleAttribute('data-in-range', inRange);
+    }
+
+    minThumb.setAttribute('aria-valuetext', this.#formatValue(min));
+    maxThumb.setAttribute('aria-valuetext', this.#formatValue(max));
+  }
+
+  /**
+   * @param {number} value - A value of the slider, in cents or the index of a metafield value
+   * @returns {string} The value as it's shown to shoppers
+   */
+  #formatValue(value) {
+    const { rangeValues } = this.refs;
+
+    if (rangeValues?.length) return rangeValues[value]?.dataset.label ?? '';
+
+    const statusComponent = this.#getStatusComponent();
+    return statusComponent?.formatMoney(value) || (value / 100).toString();
+  }
+
   /**
    * Updates the price summary
    */
   #updateSummary() {
-    const { minInput, maxInput } = this.refs;
-    const details = this.closest('details');
-    const statusComponent = details?.querySelector('facet-status-component');
+    const { minInput, maxInput, rangeValues } = this.refs;
+    const statusComponent = this.#getStatusComponent();
 
-    if (!(statusComponent instanceof FacetStatusComponent)) return;
+    if (!statusComponent) return;
+
+    if (rangeValues?.length) {
+      statusComponent.updateRangeSummary(rangeValues.filter((input) => input.checked));
+    } else if (minInput && maxInput) {
+      statusComponent.updatePriceSummary(minInput, maxInput);
+    }
+  }
 
-    statusComponent?.updatePriceSummary(minInput, maxInput);
+  /**
+   * @returns {FacetStatusComponent | undefined}
+   */
+  #getStatusComponent() {
+    const statusComponent = this.closest('details')?.querySelector('facet-status-component');
+
+    return statusComponent instanceof FacetStatusComponent ? statusComponent : undefined;
   }
 }
 
@@ -332,7 +623,7 @@ class FacetClearComponent extends Component {
     }
 
     const container = event.target.closest('facet-inputs-component, price-facet-component');
-    container?.querySelectorAll('[type="checkbox"]:checked, input').forEach((input) => {
+    container?.querySelectorAll('[type="checkbox"]:checked, input:not([type="range"])').forEach((input) => {
       if (input instanceof HTMLInputElement) {
         input.checked = false;
         input.value = '';
@@ -660,6 +951,316 @@ if (!customElements.get('sorting-filter-component')) {
   customElements.define('sorting-filter-component', SortingFilterComponent);
 }
 
+/**
+ * The localStorage key of the filter presets, followed by the path of the collection or search page.
+ */
+const FACET_PRESETS_KEY = 'theme:facet-presets:';
+
+/**
+ * How many product IDs a preset remembers, to tell which products are new when it's used again.
+ */
+const FACET_PRESET_MAX_PRODUCTS = 250;
+
+/**
+ * @typedef {Object} FacetPreset
+ * @property {string} id - The ID of the preset
+ * @property {string} name - The name the shopper gave the preset, like "Large canvas, under $80"
+ * @property {string} parameters - The filter and sorting parameters of the preset
+ * @property {number} usedAt - When the preset was last used, in milliseconds
+ * @property {number[]} productIds - The products the preset showed when it was last used
+ */
+
+/**
+ * Sorts URL parameters and leaves out the page, so the same filters always give the same string.
+ * @param {URLSearchParams} parameters - The URL parameters
+ * @returns {string} The normalized parameters
+ */
+function normalizeFacetParameters(parameters) {
+  const normalized = new URLSearchParams(parameters);
+  normalized.delete('page');
+  normalized.sort();
+
+  return normalized.toString();
+}
+
+/**
+ * @typedef {Object} FacetPresetsRefs
+ * @property {HTMLDetailsElement} details - The dropdown
+ * @property {HTMLElement} badge - How many products are new for the preset in use
+ * @property {HTMLUListElement} list - The saved presets
+ * @property {HTMLInputElement} nameInput - The name of the preset to save
+ * @property {HTMLElement} status - Confirms a preset is saved
+ * @property {HTMLTemplateElement} deleteIcon - The icon of the delete buttons
+ */
+
+/**
+ * Lets shoppers save the filters they use most as named presets, and apply them again from a dropdown.
+ *
+ * Presets are kept in localStorage, per collection or search page. Each preset remembers the products it showed
+ * when it was last used, so when it's used again, the shopper is told how many products are new since then.
+ *
+ * @extends {Component<FacetPresetsRefs>}
+ */
+class FacetPresetsComponent extends Component {
+  requiredRefs = ['details', 'badge', 'list', 'nameInput', 'status', 'deleteIcon'];
+
+  /**
+   * How many products are new for each preset, since it was used before this page view.
+   * @type {Map<string, number>}
+   */
+  #newCounts = new Map();
+
+  /** @type {number | undefined} */
+  #statusTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#onFilterUpdate);
+    this.#syncActivePreset();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The filters may have changed, and the product grid is rendered again
+    this.#syncActivePreset();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#onFilterUpdate);
+    clearTimeout(this.#statusTimeout);
+  }
+
+  /**
+   * Syncs the presets once the product index rendered the grid for the new filters. When the server renders it,
+   * the section is morphed and they're synced in `updatedCallback`.
+   */
+  #onFilterUpdate = () => {
+    // The grid is rendered right after the filters are updated
+    queueMicrotask(() => {
+      const sectionId = this.#getFacetsForm()?.sectionId;
+      if (sectionId && facetIndex.isRendered(sectionId)) this.#syncActivePreset();
+    });
+  };
+
+  /**
+   * Saves the current filters as a preset, replacing the preset with the same name.
+   */
+  savePreset() {
+    const { nameInput } = this.refs;
+    const name = nameInput.value.trim();
+
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+
+    const facetsForm = this.#getFacetsForm();
+    if (!facetsForm) return;
+
+    const presets = this.#readPresets().filter((preset) => preset.name.toLowerCase() !== name.toLowerCase());
+    presets.push({
+      id: `preset-${Date.now()}`,
+      name,
+      parameters: normalizeFacetParameters(facetsForm.createURLParameters()),
+      usedAt: Date.now(),
+      productIds: this.#getProductIds(),
+    });
+
+    this.#writePresets(presets);
+    nameInput.value = '';
+    this.#showStatus(this.dataset.savedMessage);
+    this.#syncActivePreset();
+  }
+
+  /**
+   * Saves the preset when Enter is pressed in the name input, rather than submitting the filters.
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleNameKeyDown(event) {
+    if (event.key !== 'Enter') return;
+
+    event.preventDefault();
+    this.savePreset();
+  }
+
+  /**
+   * Applies a preset through the facets form.
+   * @param {Event} event - The click event
+   */
+  applyPreset(event) {
+    const preset = this.#getPreset(event);
+    const facetsForm = this.#getFacetsForm();
+    if (!preset || !facetsForm) return;
+
+    const url = new URL(window.location.href);
+    url.search = preset.parameters;
+
+    this.refs.details.open = false;
+    facetsForm.updateFiltersByURL(url.toString());
+  }
+
+  /**
+   * Deletes a preset.
+   * @param {Event} event - The click event
+   */
+  deletePreset(event) {
+    const preset = this.#getPreset(event);
+    if (!preset) return;
+
+    this.#writePresets(this.#readPresets().filter(({ id }) => id !== preset.id));
+    this.#newCounts.delete(preset.id);
+    this.#syncActivePreset();
+  }
+
+  /**
+   * Finds the preset matching the current filters, counts the products it didn't show when it was last used, and
+   * remembers the products it shows now.
+   */
+  #syncActivePreset() {
+    const presets = this.#readPresets();
+    const current = normalizeFacetParameters(new URL(window.location.href).searchParams);
+    const active = presets.find((preset) => preset.parameters === current);
+
+    if (active && !this.#newCounts.has(active.id)) {
+      const productIds = this.#getProductIds();
+      const seen = new Set(active.productIds);
+
+      // Presets saved before any product was seen can't tell which ones are new
+      this.#newCounts.set(active.id, seen.size ? productIds.filter((id) => !seen.has(id)).length : 0);
+
+      active.productIds = [...new Set([...productIds, ...active.productIds])].slice(0, FACET_PRESET_MAX_PRODUCTS);
+      active.usedAt = Date.now();
+      this.#writePresets(presets);
+    }
+
+    this.#renderPresets(presets, active);
+  }
+
+  /**
+   * @param {FacetPreset[]} presets - The saved presets
+   * @param {FacetPreset | undefined} active - The preset matching the current filters
+   */
+  #renderPresets(presets, active) {
+    const { badge, list, deleteIcon } = this.refs;
+    const newTemplate = this.dataset.newTemplate ?? '';
+
+    const items = presets.map((preset) => {
+      const item = document.createElement('li');
+      item.className = 'facet-presets__item';
+      item.dataset.presetId = preset.id;
+
+      const apply = document.createElement('button');
+      apply.type = 'button';
+      apply.className = 'facet-presets__apply button-unstyled';
+      apply.setAttribute('on:click', '/applyPreset');
+      apply.setAttribute('aria-current', String(preset === active));
+
+      const name = document.createElement('span');
+      name.textContent = preset.name;
+      apply.append(name);
+
+      const newCount = this.#newCounts.get(preset.id) ?? 0;
+      if (newCount > 0) {
+        const newBadge = document.createElement('span');
+        newBadge.className = 'facet-presets__badge';
+        newBadge.textContent = newTemplate.replace('[count]', String(newCount));
+        apply.append(newBadge);
+      }
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'facet-presets__delete svg-wrapper button-unstyled';
+      remove.setAttribute('on:click', '/deletePreset');
+      remove.setAttribute('aria-label', (this.dataset.deleteTemplate ?? '').replace('[name]', preset.name));
+      remove.append(deleteIcon.content.cloneNode(true));
+
+      item.append(apply, remove);
+      return item;
+    });
+
+    list.replaceChildren(...items);
+
+    const activeCount = active ? (this.#newCounts.get(active.id) ?? 0) : 0;
+    badge.textContent = activeCount > 0 ? newTemplate.replace('[count]', String(activeCount)) : '';
+  }
+
+  /**
+   * @param {Event} event - The click event of a preset button
+   * @returns {FacetPreset | undefined}
+   */
+  #getPreset(event) {
+    const item = event.target instanceof Element ? event.target.closest('[data-preset-id]') : null;
+    if (!(item instanceof HTMLElement)) return;
+
+    return this.#readPresets().find(({ id }) => id === item.dataset.presetId);
+  }
+
+  /**
+   * @returns {FacetsFormComponent | null}
+   */
+  #getFacetsForm() {
+    const { formId } = this.dataset;
+    const form = formId ? document.getElementById(formId) : this;
+    const facetsForm = form?.closest('facets-form-component');
+
+    return facetsForm instanceof FacetsFormComponent ? facetsForm : null;
+  }
+
+  /**
+   * @returns {number[]} The IDs of the products in the rendered grid.
+   */
+  #getProductIds() {
+    const section = this.closest('.shopify-section') ?? document;
+    const items = section.querySelectorAll('.product-grid__item[data-product-id]');
+
+    return Array.from(items, (item) => Number(item instanceof HTMLElement ? item.dataset.productId : NaN)).filter(
+      (id) => Number.isInteger(id)
+    );
+  }
+
+  /**
+   * @returns {FacetPreset[]}
+   */
+  #readPresets() {
+    try {
+      const presets = JSON.parse(localStorage.getItem(FACET_PRESETS_KEY + window.location.pathname) || '[]');
+      return Array.isArray(presets) ? presets : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {FacetPreset[]} presets
+   */
+  #writePresets(presets) {
+    try {
+      localStorage.setItem(FACET_PRESETS_KEY + window.location.pathname, JSON.stringify(presets));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * @param {string} [message]
+   */
+  #showStatus(message = '') {
+    const { status } = this.refs;
+
+    clearTimeout(this.#statusTimeout);
+    status.textContent = message;
+    this.#statusTimeout = window.setTimeout(() => (status.textContent = ''), 4000);
+  }
+}
+
+if (!customElements.get('facet-presets-component')) {
+  customElements.define('facet-presets-component', FacetPresetsComponent);
+}
+
 /**
  * @typedef {Object} FacetStatusRefs
  * @property {HTMLElement} facetStatus - The facet status element
@@ -750,7 +1351,19 @@ class FacetStatusComponent extends Component {
 
     const minInputNum = this.#parseCents(minInputValue, '0');
     const maxInputNum = this.#parseCents(maxInputValue, facetStatus.dataset.rangeMax);
-    facetStatus.innerHTML = `${this.#formatMoney(minInputNum)}–${this.#formatMoney(maxInputNum)}`;
+    facetStatus.innerHTML = `${this.formatMoney(minInputNum)}–${this.formatMoney(maxInputNum)}`;
+  }
+
+  /**
+   * Updates the summary of a range of values, like sizes
+   * @param {HTMLInputElement[]} checkedInputElements - The checked values, in order
+   */
+  updateRangeSummary(checkedInputElements) {
+    const { facetStatus } = this.refs;
+    const first = checkedInputElements[0]?.dataset.label ?? '';
+    const last = checkedInputElements[checkedInputElements.length - 1]?.dataset.label ?? '';
+
+    facetStatus.textContent = first === last ? first : `${first}–${last}`;
   }
 
   /**
@@ -778,70 +1391,13 @@ class FacetStatusComponent extends Component {
    * @param {number} moneyValue - The money value
    * @returns {string} The formatted money value
    */
-  #formatMoney(moneyValue) {
+  formatMoney(moneyValue) {
     if (!(this.refs.moneyFormat instanceof HTMLTemplateElement)) return '';
 
     const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
     const currency = this.refs.facetStatus.dataset.currency || '';
 
-    return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-      if (typeof placeholder !== 'string') return '';
-      if (placeholder === 'currency') return currency;
-
-      let thousandsSeparator = ',';
-      let decimalSeparator = '.';
-      let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-
-      if (placeholder === 'amount') {
-        // Check first since it's the most common, use defaults.
-      } else if (placeholder === 'amount_no_decimals') {
-        precision = 0;
-      } else if (placeholder === 'amount_with_comma_separator') {
-        thousandsSeparator = '.';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
-        // Weirdly, this is correct. It uses amount_with_comma_separator's
-        // behaviour but removes decimals, resulting in an unintuitive
-        // output that can't possibly include commas, despite the name.
-        thousandsSeparator = '.';
-        precision = 0;
-      } else if (placeholder === 'amount_no_decimals_with_space_separator') {
-        thousandsSeparator = ' ';
-        precision = 0;
-      } else if (placeholder === 'amount_with_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_with_period_and_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = '.';
-      } else if (placeholder === 'amount_with_apostrophe_separator') {
-        thousandsSeparator = "'";
-        decimalSeparator = '.';
-      }
-
-      return this.#formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision);
-    });
-  }
-
-  /**
-   * Formats money in cents
-   * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
-   * @param {string} thousandsSeparator - The thousands separator
-   * @param {string} decimalSeparator - The decimal separator
-   * @param {number} precision - The precision
-   * @returns {string} The formatted money value
-   */
-  #formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
-    const roundedNumber = (moneyValue / 100).toFixed(precision);
-
-    let [a, b] = roundedNumber.split('.');
-    if (!a) a = '0';
-    if (!b) b = '';
-
-    // Split by groups of 3 digits
-    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
-
-    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+    return formatCents(moneyValue, template, currency);
   }
 
   /**
@@ -855,56 +1411,3 @@ class FacetStatusComponent extends Component {
 if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
-
-/**
- * Default currency decimals used in most currenies
- * @constant {number}
- */
-const DEFAULT_CURRENCY_DECIMALS = 2;
-
-/**
- * Decimal precision for currencies that have a non-default precision
- * @type {Record<string, number>}
- */
-const CURRENCY_DECIMALS = {
-  BHD: 3,
-  BIF: 0,
-  BYR: 0,
-  CLF: 4,
-  CLP: 0,
-  DJF: 0,
-  GNF: 0,
-  IQD: 3,
-  ISK: 0,
-  JOD: 3,
-  JPY: 0,
-  KMF: 0,
-  KRW: 0,
-  KWD: 3,
-  LYD: 3,
-  MRO: 5,
-  OMR: 3,
-  PYG: 0,
-  RWF: 0,
-  TND: 3,
-  UGX: 0,
-  UYI: 0,
-  UYW: 4,
-  VND: 0,
-  VUV: 0,
-  XAF: 0,
-  XAG: 0,
-  XAU: 0,
-  XBA: 0,
-  XBB: 0,
-  XBC: 0,
-  XBD: 0,
-  XDR: 0,
-  XOF: 0,
-  XPD: 0,
-  XPF: 0,
-  XPT: 0,
-  XSU: 0,
-  XTS: 0,
-  XUA: 0,
-};
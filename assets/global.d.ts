@@ -24,6 +24,7 @@ declare global {
     routes: {
       cart_add_url: string;
       cart_change_url: string;
+      cart_clear_url: string;
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
@@ -37,12 +38,35 @@ declare global {
     template: {
       name: string;
     };
+    search: {
+      rewrite: boolean;
+      synonyms: string;
+      vocabularyUrl: string;
+    };
+    savedForLater: {
+      sync: 'none' | 'app_proxy' | 'mock';
+      endpoint: string;
+      customerId: string;
+    };
+    deliveryCalendar: {
+      productionDays: number;
+      transitDays: number;
+      transitTimes: string;
+      cutoffHour: number;
+      holidays: string;
+      utcOffset: string;
+      country: string;
+    };
   }
 
   interface Window {
     Shopify: Shopify;
+    heic2any?: HeicDecoder;
   }
 
+  // Refer to https://github.com/alexcorvi/heic2any, shipped as assets/heic2any@0.0.4.min.js
+  type HeicDecoder = (options: { blob: Blob; toType?: string; quality?: number }) => Promise<Blob | Blob[]>;
+
   declare const Shopify: Shopify;
   declare const Theme: Theme;
 
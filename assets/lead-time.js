@@ -0,0 +1,239 @@
+/**
+ * Dates for made-to-order products: when an order goes into production, when it ships and when it can arrive.
+ *
+ * Production and shipping happen on business days, Monday to Friday, except the holidays set in the theme settings.
+ * Orders placed after the daily cutoff go into production the next business day. Times are in the shop's timezone,
+ * whatever the timezone of the customer.
+ */
+
+/**
+ * @typedef {object} LeadTime
+ * @property {number} productionDays - The business days it takes to make the order.
+ * @property {number} [transitDays] - The fewest business days the order spends in transit.
+ * @property {number} [maxTransitDays] - The most business days the order spends in transit. Defaults to
+ * `transitDays`.
+ * @property {number} [cutoffHour] - The hour, from 0 to 23 in the shop's timezone, after which orders go into
+ * production the next business day. Defaults to midnight.
+ * @property {string[]} [holidays] - The days without production or shipping, as `YYYY-MM-DD`.
+ * @property {number} [utcOffset] - The offset of the shop's timezone from UTC, in minutes. Defaults to the
+ * customer's timezone.
+ */
+
+/**
+ * @typedef {object} DeliveryEstimate
+ * @property {Date} shipDate - The day the order ships, at midnight in the shop's timezone.
+ * @property {Date} earliest - The earliest day the order arrives.
+ * @property {Date} latest - The latest day the order arrives.
+ * @property {number | null} cutoffIn - The milliseconds left to order for this estimate, null when production
+ * doesn't start today.
+ */
+
+/**
+ * Whether production and carriers work on a day.
+ * @param {Date} date
+ * @param {string[]} [holidays] - The days without production or shipping, as `YYYY-MM-DD`.
+ * @returns {boolean}
+ */
+export function isBusinessDay(date, holidays = []) {
+  const day = date.getDay();
+  return day !== 0 && day !== 6 && !holidays.includes(toISODate(date));
+}
+
+/**
+ * Adds business days to a date. A date that isn't a business day first moves to the next business day.
+ * @param {Date} date - The date to start from.
+ * @param {number} days - The number of business days to add.
+ * @param {string[]} [holidays] - The days without production or shipping, as `YYYY-MM-DD`.
+ * @returns {Date} A new date, at midnight.
+ */
+export function addBusinessDays(date, days, holidays = []) {
+  const result = startOfDay(date);
+
+  while (!isBusinessDay(result, holidays)) result.setDate(result.getDate() + 1);
+
+  let added = 0;
+  while (added < days) {
+    result.setDate(result.getDate() + 1);
+    if (isBusinessDay(result, holidays)) added++;
+  }
+
+  return result;
+}
+
+/**
+ * Gets the time in the shop's timezone, as a date whose local fields (hours, day…) are the shop's.
+ * @param {Date} now
+ * @param {number} [utcOffset] - The offset of the shop's timezone from UTC, in minutes.
+ * @returns {Date}
+ */
+export function toShopTime(now, utcOffset) {
+  if (utcOffset === undefined) return new Date(now);
+
+  return new Date(now.getTime() + (utcOffset + now.getTimezoneOffset()) * 60 * 1000);
+}
+
+/**
+ * Estimates when an order placed now ships and arrives.
+ * @param {LeadTime} leadTime
+ * @param {Date} [now]
+ * @returns {DeliveryEstimate}
+ */
+export function estimateDelivery(leadTime, now = new Date()) {
+  const { productionDays, transitDays = 0, cutoffHour = 24, holidays = [], utcOffset } = leadTime;
+  const maxTransitDays = Math.max(transitDays, leadTime.maxTransitDays ?? transitDays);
+  const shopNow = toShopTime(now, utcOffset);
+
+  const cutoff = new Date(shopNow);
+  cutoff.setHours(cutoffHour, 0, 0, 0);
+
+  const startsToday = isBusinessDay(shopNow, holidays) && shopNow < cutoff;
+  const productionStart = addBusinessDays(shopNow, startsToday ? 0 : 1, holidays);
+  const shipDate = addBusinessDays(productionStart, productionDays, holidays);
+
+  return {
+    shipDate,
+    earliest: addBusinessDays(shipDate, transitDays, holidays),
+    latest: addBusinessDays(shipDate, maxTransitDays, holidays),
+    cutoffIn: startsToday ? cutoff.getTime() - shopNow.getTime() : null,
+  };
+}
+
+/**
+ * Gets the earliest day an order placed now can be delivered.
+ * @param {LeadTime} leadTime
+ * @param {Date} [now]
+ * @returns {Date} The date, at midnight.
+ */
+export function getEarliestDelivery(leadTime, now = new Date()) {
+  return estimateDelivery(leadTime, now).earliest;
+}
+
+/**
+ * Gets the lead time set in the theme settings, with the transit time to the customer's country.
+ * @param {number} [productionDays] - The production days of the product, defaults to the theme setting.
+ * @returns {LeadTime}
+ */
+export function getThemeLeadTime(productionDays) {
+  const calendar = Theme.deliveryCalendar;
+  const [transitDays, maxTransitDays] = getTransitDays(getSelectedCountry());
+
+  return {
+    productionDays: productionDays ?? calendar.productionDays,
+    transitDays,
+    maxTransitDays,
+    cutoffHour: calendar.cutoffHour || 24,
+    holidays: parseHolidays(calendar.holidays),
+    utcOffset: parseUTCOffset(calendar.utcOffset),
+  };
+}
+
+/**
+ * Gets the country the customer shops from, as picked in the localization form.
+ * @returns {string} The ISO code of the country.
+ */
+export function getSelectedCountry() {
+  const input = document.querySelector('localization-form-component input[name="country_code"]');
+  return (input instanceof HTMLInputElement && input.value) || Theme.deliveryCalendar.country;
+}
+
+/**
+ * Gets the transit time to a country, from the transit times set in the theme settings.
+ * @param {string} country - The ISO code of the country.
+ * @returns {[number, number]} The fewest and most business days in transit.
+ */
+export function getTransitDays(country) {
+  const calendar = Theme.deliveryCalendar;
+  const times = parseTransitTimes(calendar.transitTimes);
+
+  return times.get(country.toUpperCase()) ?? times.get('*') ?? [calendar.transitDays, calendar.transitDays];
+}
+
+/**
+ * Reads transit times entered by the merchant, one line per country or list of countries, like `US: 3-5` or
+ * `CA, MX: 6`. A `*` line applies to all other countries.
+ * @param {string} value
+ * @returns {Map<string, [number, number]>} The fewest and most business days in transit, by country code.
+ */
+export function parseTransitTimes(value) {
+  /** @type {Map<string, [number, number]>} */
+  const times = new Map();
+
+  for (const line of value.split(/\r?\n/)) {
+    const match = /^\s*([A-Za-z*,\s]+):\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(line);
+    if (!match) continue;
+
+    const [, countries = '', min = '0', max] = match;
+    /** @type {[number, number]} */
+    const range = [Number(min), Math.max(Number(min), Number(max ?? min))];
+
+    for (const country of countries.split(',')) {
+      const code = country.trim().toUpperCase();
+      if (code) times.set(code, range);
+    }
+  }
+
+  return times;
+}
+
+/**
+ * Formats a date as `YYYY-MM-DD` in local time, as used by date inputs.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toISODate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Reads a `YYYY-MM-DD` date in local time.
+ * @param {string} value
+ * @returns {Date | null} The date at midnight, null if the value isn't a date.
+ */
+export function fromISODate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Reads the holidays entered by the merchant, one `YYYY-MM-DD` date per line or separated by commas.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseHolidays(value) {
+  return value
+    .split(/[\n,]/)
+    .map((date) => fromISODate(date))
+    .filter((date) => date !== null)
+    .map((date) => toISODate(/** @type {Date} */ (date)));
+}
+
+/**
+ * Reads a UTC offset like `-0500`, as Liquid formats it with `%z`.
+ * @param {string} value
+ * @returns {number | undefined} The offset in minutes, undefined if the value isn't an offset.
+ */
+function parseUTCOffset(value) {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(value);
+  if (!match) return undefined;
+
+  const [, sign, hours, minutes] = match;
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+}
+
+/**
+ * @param {Date} date
+ * @returns {Date} A new date, at midnight.
+ */
+function startOfDay(date) {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+}
@@ -53,7 +53,14 @@ export class MediaGallery extends Component {
    * @param {ZoomMediaSelectedEvent} event - The zoom-media:selected event.
    */
   #handleZoomMediaSelected = async (event) => {
-    this.slideshow?.select(event.detail.index, undefined, { animate: false });
+    const { slideshow } = this;
+    if (!slideshow) return;
+
+    // Slides added in the browser, like the personalization preview, are not part of the zoom dialog
+    const slide = slideshow.refs.slides?.filter((slide) => !slide.hasAttribute('data-virtual'))[event.detail.index];
+    const index = slide ? (slideshow.slides?.indexOf(slide) ?? event.detail.index) : event.detail.index;
+
+    slideshow.select(index, undefined, { animate: false });
   };
 
   /**
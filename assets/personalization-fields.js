@@ -0,0 +1,233 @@
+/**
+ * Field definitions of the personalization blocks, and the rules their values are validated against.
+ *
+ * Each `product-custom-property` block renders its definition as JSON from its settings. List settings, like
+ * the blocked words or the variant option values, are entered as text by the merchant and parsed here.
+ */
+
+/**
+ * @typedef {'text' | 'emoji_text' | 'select' | 'color' | 'date' | 'font' | 'checkbox'} FieldKind
+ */
+
+/**
+ * @typedef {'required' | 'length' | 'lines' | 'pattern' | 'blocked'} ValidationError
+ */
+
+/**
+ * @typedef {object} FieldCondition
+ * @property {string} key - The property name of the field the visibility depends on.
+ * @property {string[]} values - The values that show the field, any non-empty value when empty.
+ */
+
+/**
+ * @typedef {object} FieldDefinition
+ * @property {string} key - The property name, as shown in the cart and order.
+ * @property {FieldKind} kind - The kind of field.
+ * @property {boolean} required - Whether a value is required to add to cart.
+ * @property {number} maxLength - The maximum number of characters of text fields, 0 for no limit.
+ * @property {number} maxLines - The maximum number of lines of text fields, 0 for no limit.
+ * @property {RegExp | null} pattern - The pattern the whole value must match.
+ * @property {string[]} blockedWords - Words and phrases the value can't contain, in lowercase.
+ * @property {FieldCondition | null} visibleWhen - The value of another field that shows this field.
+ * @property {string[]} variantOptions - Option values of which the selected variant needs one, empty for any.
+ */
+
+/**
+ * Kinds of field holding free text, which the text rules apply to.
+ * @type {FieldKind[]}
+ */
+const TEXT_KINDS = ['text', 'emoji_text'];
+
+/**
+ * Parses the definition rendered by a block.
+ * @param {string} json - The JSON definition.
+ * @returns {FieldDefinition}
+ */
+export function parseFieldDefinition(json) {
+  const raw = JSON.parse(json);
+  const conditionKey = String(raw.visibleWhenKey ?? '').trim();
+
+  return {
+    key: String(raw.key ?? ''),
+    kind: raw.kind ?? 'text',
+    required: Boolean(raw.required),
+    maxLength: Number(raw.maxLength) || 0,
+    maxLines: Number(raw.maxLines) || 0,
+    pattern: compilePattern(raw.pattern),
+    blockedWords: splitList(raw.blockedWords).map(normalizeWords),
+    visibleWhen: conditionKey ? { key: conditionKey, values: splitList(raw.visibleWhenValues) } : null,
+    variantOptions: splitList(raw.variantOptions),
+  };
+}
+
+/**
+ * Validates the value of a field.
+ * @param {FieldDefinition} definition - The field definition.
+ * @param {string} value - The value.
+ * @returns {ValidationError | null} The first rule the value breaks, or null when it's valid.
+ */
+export function validateField(definition, value) {
+  if (!value.trim()) return definition.required ? 'required' : null;
+
+  if (!TEXT_KINDS.includes(definition.kind)) return null;
+
+  if (definition.maxLength && countCharacters(value) > definition.maxLength) return 'length';
+  if (definition.maxLines && value.split(/\r\n|\r|\n/).length > definition.maxLines) return 'lines';
+  if (definition.pattern && !definition.pattern.test(value)) return 'pattern';
+
+  const words = ` ${normalizeWords(value)} `;
+  if (definition.blockedWords.some((blocked) => blocked && words.includes(` ${blocked} `))) return 'blocked';
+
+  return null;
+}
+
+/**
+ * Whether a field shows for the selected variant.
+ * @param {FieldDefinition} definition - The field definition.
+ * @param {string[]} options - The option values of the selected variant.
+ * @returns {boolean}
+ */
+export function matchesVariant(definition, options) {
+  if (!definition.variantOptions.length) return true;
+
+  const selected = options.map((option) => option.toLowerCase());
+  return definition.variantOptions.some((option) => selected.includes(option.toLowerCase()));
+}
+
+/**
+ * Whether a field shows for the value of the field it depends on.
+ * @param {FieldDefinition} definition - The field definition.
+ * @param {string} value - The value of the field it depends on, empty when that field is hidden.
+ * @returns {boolean}
+ */
+export function matchesCondition(definition, value) {
+  const condition = definition.visibleWhen;
+
+  if (!condition) return true;
+  if (!condition.values.length) return value.trim() !== '';
+
+  return condition.values.some((expected) => expected.toLowerCase() === value.trim().toLowerCase());
+}
+
+/**
+ * Gets the field of a group whose value is submitted, like the checked button of a set of radio buttons.
+ * @param {Iterable<Element>} fields - The fields sharing a property name.
+ * @returns {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement | null} The field, or null when the fields
+ * are disabled or nothing is picked.
+ */
+export function getSubmittedField(fields) {
+  for (const field of fields) {
+    const isField =
+      field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement || field instanceof HTMLSelectElement;
+
+    if (!isField || field.disabled) continue;
+    if (field instanceof HTMLInputElement && (field.type === 'checkbox' || field.type === 'radio') && !field.checked) {
+      continue;
+    }
+
+    return field;
+  }
+
+  return null;
+}
+
+/**
+ * Gets the fields of a property of the product form, including those linked with a `form` attribute.
+ * @param {HTMLFormElement | null} form - The product form.
+ * @param {string} key - The property name.
+ * @returns {Element[]}
+ */
+export function getPropertyFields(form, key) {
+  const name = `properties[${key}]`;
+  return form ? Array.from(form.elements).filter((element) => element.getAttribute('name') === name) : [];
+}
+
+/**
+ * Fills in a count message, from the `[current]` and `[max]` placeholders of its `data-template` attribute.
+ * @param {Element} element - The message element.
+ * @param {number} current - The current count.
+ * @param {number} max - The limit.
+ */
+export function renderCount(element, current, max) {
+  const template = element.getAttribute('data-template');
+  if (!template) return;
+
+  element.textContent = template.replace('[current]', current.toString()).replace('[max]', max.toString());
+}
+
+/**
+ * Counts the characters of a value as the customer sees them, so an emoji or an accented letter counts as one.
+ * @param {string} value
+ * @returns {number}
+ */
+export function countCharacters(value) {
+  return splitCharacters(value).length;
+}
+
+/**
+ * Cuts a value to a number of characters without breaking an emoji in half.
+ * @param {string} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export function truncateCharacters(value, maxLength) {
+  const characters = splitCharacters(value);
+  return characters.length > maxLength ? characters.slice(0, maxLength).join('') : value;
+}
+
+/**
+ * @param {string} value
+ * @returns {string[]} The grapheme clusters of the value, or its code points where segmenting isn't supported.
+ */
+function splitCharacters(value) {
+  // @ts-ignore -- Intl.Segmenter is missing from the ES2020 lib
+  const Segmenter = Intl.Segmenter;
+  if (!Segmenter) return [...value];
+
+  return Array.from(new Segmenter(undefined, { granularity: 'grapheme' }).segment(value), (part) => part.segment);
+}
+
+/**
+ * Splits a list entered by the merchant, one item per line or separated by commas.
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  if (typeof value !== 'string') return [];
+
+  return value
+    .split(/[\n,]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Lowercases a text, strips its accents and punctuation, and separates its words with single spaces,
+ * so "Bad-Word!" matches the blocked word "bad word".
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeWords(value) {
+  return value
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * @param {unknown} pattern - The pattern entered by the merchant, matched against the whole value.
+ * @returns {RegExp | null}
+ */
+function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern) return null;
+
+  try {
+    return new RegExp(`^(?:${pattern})$`, 'u');
+  } catch (error) {
+    console.warn(`Ignoring the invalid pattern ${pattern}`, error);
+    return null;
+  }
+}
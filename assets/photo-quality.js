@@ -0,0 +1,224 @@
+/**
+ * Client-side quality checks for customer photos.
+ *
+ * The image is downscaled onto a canvas and converted to luminance, then checked for blur (variance of
+ * the Laplacian), exposure (luminance histogram) and how much of the frame the subject fills (bounding box
+ * of strong edges). Everything runs in the browser, nothing is uploaded.
+ */
+
+/**
+ * @typedef {'blurry' | 'dark' | 'overexposed' | 'small_subject'} PhotoQualityIssue
+ */
+
+/**
+ * @typedef {object} PhotoQualityReport
+ * @property {PhotoQualityIssue[]} issues - The problems found, empty when the photo looks fine.
+ * @property {object} metrics - The raw measurements, useful for tuning thresholds.
+ * @property {number} metrics.sharpness - The variance of the Laplacian.
+ * @property {number} metrics.brightness - The mean luminance, from 0 to 255.
+ * @property {number} metrics.shadows - The share of pixels that are nearly black.
+ * @property {number} metrics.highlights - The share of pixels that are nearly white.
+ * @property {number} metrics.subjectCoverage - The share of the frame covered by the subject.
+ */
+
+/**
+ * The longest edge, in pixels, of the canvas the analysis runs on.
+ */
+const ANALYSIS_EDGE = 512;
+
+/**
+ * Thresholds tuned on pet photos downscaled to `ANALYSIS_EDGE`.
+ */
+const THRESHOLDS = {
+  /** Below this Laplacian variance, a photo is considered blurry */
+  sharpness: 60,
+  /** Below this mean luminance, a photo is considered too dark */
+  brightness: 55,
+  /** Above this share of nearly black pixels, a photo is considered too dark */
+  shadows: 0.5,
+  /** Above this mean luminance, a photo is considered overexposed */
+  overexposedBrightness: 215,
+  /** Above this share of nearly white pixels, a photo is considered overexposed */
+  highlights: 0.3,
+  /** Below this share of the frame, the subject is considered too small */
+  subjectCoverage: 0.2,
+};
+
+/**
+ * Analyzes a decoded image.
+ * @param {HTMLImageElement} image - The image to analyze.
+ * @returns {PhotoQualityReport} The quality report.
+ */
+export function analyzePhoto(image) {
+  const luminance = getLuminance(image);
+
+  if (!luminance) {
+    return { issues: [], metrics: { sharpness: 0, brightness: 0, shadows: 0, highlights: 0, subjectCoverage: 0 } };
+  }
+
+  const sharpness = laplacianVariance(luminance);
+  const { brightness, shadows, highlights } = exposure(luminance);
+  const subjectCoverage = getSubjectCoverage(luminance);
+
+  /** @type {PhotoQualityIssue[]} */
+  const issues = [];
+
+  if (sharpness < THRESHOLDS.sharpness) issues.push('blurry');
+  if (brightness < THRESHOLDS.brightness || shadows > THRESHOLDS.shadows) issues.push('dark');
+  if (brightness > THRESHOLDS.overexposedBrightness || highlights > THRESHOLDS.highlights) issues.push('overexposed');
+  if (subjectCoverage < THRESHOLDS.subjectCoverage) issues.push('small_subject');
+
+  return { issues, metrics: { sharpness, brightness, shadows, highlights, subjectCoverage } };
+}
+
+/**
+ * @typedef {object} Luminance
+ * @property {Float32Array} data - The luminance of each pixel, from 0 to 255.
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * Draws a downscaled copy of the image and converts it to luminance.
+ * @param {HTMLImageElement} image
+ * @returns {Luminance | null}
+ */
+function getLuminance(image) {
+  const { naturalWidth, naturalHeight } = image;
+  if (!naturalWidth || !naturalHeight) return null;
+
+  const factor = Math.min(1, ANALYSIS_EDGE / Math.max(naturalWidth, naturalHeight));
+  const width = Math.max(1, Math.round(naturalWidth * factor));
+  const height = Math.max(1, Math.round(naturalHeight * factor));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  if (!context) return null;
+
+  context.drawImage(image, 0, 0, width, height);
+
+  const { data: pixels } = context.getImageData(0, 0, width, height);
+  const data = new Float32Array(width * height);
+
+  for (let i = 0; i < data.length; i++) {
+    const offset = i * 4;
+    // Rec. 601 luma
+    data[i] = 0.299 * (pixels[offset] ?? 0) + 0.587 * (pixels[offset + 1] ?? 0) + 0.114 * (pixels[offset + 2] ?? 0);
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Computes the variance of the Laplacian, a common focus measure: sharp photos have strong second derivatives.
+ * @param {Luminance} luminance
+ * @returns {number}
+ */
+function laplacianVariance({ data, width, height }) {
+  if (width < 3 || height < 3) return Infinity;
+
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value =
+        (data[i - width] ?? 0) + (data[i + width] ?? 0) + (data[i - 1] ?? 0) + (data[i + 1] ?? 0) - 4 * (data[i] ?? 0);
+
+      sum += value;
+      sumOfSquares += value * value;
+      count++;
+    }
+  }
+
+  const mean = sum / count;
+  return sumOfSquares / count - mean * mean;
+}
+
+/**
+ * Reads the luminance histogram.
+ * @param {Luminance} luminance
+ * @returns {{ brightness: number, shadows: number, highlights: number }}
+ */
+function exposure({ data }) {
+  let sum = 0;
+  let shadows = 0;
+  let highlights = 0;
+
+  for (const value of data) {
+    sum += value;
+    if (value < 20) shadows++;
+    if (value > 245) highlights++;
+  }
+
+  return {
+    brightness: sum / data.length,
+    shadows: shadows / data.length,
+    highlights: highlights / data.length,
+  };
+}
+
+/**
+ * Estimates how much of the frame the subject fills, from the bounding box of the strongest edges.
+ * Pets are usually the most detailed part of the photo, while backgrounds are smoother or out of focus.
+ * The outermost 5% of edge pixels on each axis are ignored so that stray noise doesn't stretch the box.
+ * @param {Luminance} luminance
+ * @returns {number} The share of the frame, from 0 to 1.
+ */
+function getSubjectCoverage({ data, width, height }) {
+  if (width < 3 || height < 3) return 1;
+
+  const magnitudes = new Float32Array(width * height);
+  let sum = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const dx = (data[i + 1] ?? 0) - (data[i - 1] ?? 0);
+      const dy = (data[i + width] ?? 0) - (data[i - width] ?? 0);
+      const magnitude = Math.hypot(dx, dy);
+
+      magnitudes[i] = magnitude;
+      sum += magnitude;
+    }
+  }
+
+  const threshold = Math.max(24, (sum / magnitudes.length) * 2.5);
+
+  /** @type {number[]} */
+  const xs = [];
+  /** @type {number[]} */
+  const ys = [];
+
+  for (let i = 0; i < magnitudes.length; i++) {
+    if ((magnitudes[i] ?? 0) < threshold) continue;
+
+    xs.push(i % width);
+    ys.push(Math.floor(i / width));
+  }
+
+  // A photo without strong edges is most likely blurry, which is reported separately
+  if (xs.length < 50) return 1;
+
+  xs.sort((a, b) => a - b);
+  ys.sort((a, b) => a - b);
+
+  const boxWidth = percentile(xs, 0.95) - percentile(xs, 0.05);
+  const boxHeight = percentile(ys, 0.95) - percentile(ys, 0.05);
+
+  return (boxWidth * boxHeight) / (width * height);
+}
+
+/**
+ * @param {number[]} sorted - A sorted array.
+ * @param {number} ratio - The percentile, from 0 to 1.
+ * @returns {number}
+ */
+function percentile(sorted, ratio) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * ratio))] ?? 0;
+}
@@ -0,0 +1,458 @@
+/**
+ * Uploads customer photos to external storage, so the cart only receives their hosted URLs.
+ *
+ * An uploader is any object with an `upload(file, options)` method resolving with the hosted URL of the file.
+ * Three adapters are provided: `PresignedUploader` for storage that accepts presigned PUT requests (S3, GCS, R2…),
+ * `TusUploader` for servers of the tus resumable upload protocol, and `MockUploader` which sends files to a stub
+ * server, to test the flow in the theme editor without storage.
+ *
+ * Adapters only resolve with http(s) URLs: the URL ends up in the order, so it has to work outside the browser.
+ */
+
+/**
+ * @typedef {object} UploadOptions
+ * @property {(progress: number) => void} [onProgress] - Called with the share of the file uploaded, from 0 to 1.
+ * @property {AbortSignal} [signal] - Aborts the upload.
+ */
+
+/**
+ * @typedef {object} PhotoUploader
+ * @property {(file: File, options?: UploadOptions) => Promise<string>} upload - Uploads a file and resolves with
+ * its hosted URL.
+ */
+
+/**
+ * The delay, in milliseconds, before the first retry. Each following retry waits twice as long.
+ */
+const RETRY_DELAY = 1000;
+
+/**
+ * The size of the chunks of resumable uploads. An interrupted upload only sends its last chunk again.
+ */
+const CHUNK_SIZE = 5 * 1024 * 1024;
+
+/**
+ * The localStorage key of the unfinished resumable uploads, so they resume after a retry or a page reload.
+ */
+const RESUMABLE_UPLOADS_KEY = 'resumable-uploads';
+
+/**
+ * How long, in milliseconds, an unfinished resumable upload is kept. Servers of the tus protocol usually expire
+ * them after a day.
+ */
+const RESUMABLE_UPLOAD_EXPIRY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} ResumableUpload
+ * @property {string} uploadUrl - The URL of the unfinished upload.
+ * @property {number} createdAt - When the upload was created, in milliseconds.
+ */
+
+/**
+ * The headers of every request of the tus protocol.
+ */
+const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+
+/**
+ * An error thrown when an upload fails.
+ */
+export class UploadError extends Error {
+  /**
+   * @param {string} message - What failed.
+   * @param {number} [status] - The HTTP status of the failed request, if any.
+   */
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+
+  /**
+   * Whether trying again may succeed: network errors, timeouts, rate limiting and server errors.
+   * @returns {boolean}
+   */
+  get retryable() {
+    return this.status === undefined || this.status === 408 || this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * Uploads files with a presigned PUT request.
+ *
+ * The endpoint receives a JSON `POST` with the `filename`, `contentType` and `size` of the file, and responds with
+ * `{ uploadUrl, fileUrl, headers? }`: where to PUT the file, the URL it will be served from, and any headers the
+ * signature requires.
+ *
+ * @implements {PhotoUploader}
+ */
+export class PresignedUploader {
+  /** @type {string} */
+  #endpoint;
+
+  /**
+   * @param {string} endpoint - The URL that signs uploads, e.g. an app proxy route.
+   */
+  constructor(endpoint) {
+    this.#endpoint = endpoint;
+  }
+
+  /**
+   * @param {File} file
+   * @param {UploadOptions} [options]
+   * @returns {Promise<string>}
+   */
+  async upload(file, { onProgress, signal } = {}) {
+    const response = await fetch(this.#endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ filename: file.name, contentType: file.type, size: file.size }),
+      signal,
+    }).catch((error) => {
+      if (signal?.aborted) throw error;
+      throw new UploadError('Could not reach the upload endpoint');
+    });
+
+    if (!response.ok) throw new UploadError('Could not sign the upload', response.status);
+
+    const { uploadUrl, fileUrl, headers = {} } = await response.json();
+
+    if (typeof uploadUrl !== 'string') {
+      throw new UploadError('The upload endpoint returned an invalid response', response.status);
+    }
+
+    const hostedUrl = getHostedUrl(fileUrl, response.status);
+
+    await send('PUT', uploadUrl, file, { 'Content-Type': file.type, ...headers }, { onProgress, signal });
+
+    return hostedUrl;
+  }
+}
+
+/**
+ * Uploads files in chunks with the tus resumable upload protocol, see https://tus.io/protocols/resumable-upload.
+ *
+ * The endpoint creates the uploads, and files are served from their upload URL. An interrupted upload resumes from
+ * the last chunk the server received, when it's retried or when the same file is picked again after a page reload.
+ * Files are recognized by the hash of their content, as the crop step and HEIC conversions create new files each time.
+ *
+ * @implements {PhotoUploader}
+ */
+export class TusUploader {
+  /** @type {string} */
+  #endpoint;
+
+  /**
+   * @param {string} endpoint - The URL that creates uploads.
+   */
+  constructor(endpoint) {
+    this.#endpoint = new URL(endpoint, window.location.href).toString();
+  }
+
+  /**
+   * @param {File} file
+   * @param {UploadOptions} [options]
+   * @returns {Promise<string>}
+   */
+  async upload(file, { onProgress, signal } = {}) {
+    const fingerprint = [this.#endpoint, await getContentHash(file), file.size].join(':');
+    let uploadUrl = getResumableUpload(fingerprint);
+    let offset = uploadUrl ? await this.#getOffset(uploadUrl, signal) : null;
+
+    if (!uploadUrl || offset === null) {
+      uploadUrl = await this.#create(file, signal);
+      offset = 0;
+      setResumableUpload(fingerprint, uploadUrl);
+    }
+
+    while (offset < file.size) {
+      const start = offset;
+      const chunk = file.slice(start, start + CHUNK_SIZE);
+      const headers = {
+        ...TUS_HEADERS,
+        'Upload-Offset': String(start),
+        'Content-Type': 'application/offset+octet-stream',
+      };
+
+      const request = await send('PATCH', uploadUrl, chunk, headers, {
+        onProgress: (progress) => onProgress?.((start + progress * chunk.size) / file.size),
+        signal,
+      });
+
+      offset = Number(request.getResponseHeader('Upload-Offset'));
+      if (!(offset > start)) throw new UploadError('The upload server skipped a chunk', request.status);
+    }
+
+    setResumableUpload(fingerprint, null);
+    onProgress?.(1);
+
+    return getHostedUrl(uploadUrl, 200);
+  }
+
+  /**
+   * Creates an upload for a file.
+   * @param {File} file
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string>} The upload URL.
+   */
+  async #create(file, signal) {
+    const metadata = `filename ${toBase64(file.name)},filetype ${toBase64(file.type)}`;
+    const headers = { ...TUS_HEADERS, 'Upload-Length': String(file.size), 'Upload-Metadata': metadata };
+    const request = await send('POST', this.#endpoint, null, headers, { signal });
+    const location = request.getResponseHeader('Location');
+
+    if (!location) throw new UploadError('The upload server returned no upload URL', request.status);
+
+    return new URL(location, this.#endpoint).toString();
+  }
+
+  /**
+   * Asks the server how much of an unfinished upload it received.
+   * @param {string} uploadUrl
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<number | null>} The offset to resume from, null when the upload expired.
+   */
+  async #getOffset(uploadUrl, signal) {
+    try {
+      const request = await send('HEAD', uploadUrl, null, TUS_HEADERS, { signal });
+      const offset = Number(request.getResponseHeader('Upload-Offset'));
+
+      return Number.isInteger(offset) ? offset : null;
+    } catch (error) {
+      if (error instanceof UploadError && [403, 404, 410].includes(error.status ?? 0)) return null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Uploads files to a stub server, to try the upload flow in the theme editor without storage.
+ *
+ * The server receives the file with a PUT request, its name in the `filename` search parameter, and responds with
+ * `{ fileUrl }`: the URL it serves the file from. Its status codes can simulate failures, to test retries.
+ *
+ * @implements {PhotoUploader}
+ */
+export class MockUploader {
+  /** @type {string} */
+  #endpoint;
+
+  /**
+   * @param {string} endpoint - The URL of the stub server.
+   */
+  constructor(endpoint) {
+    this.#endpoint = endpoint;
+  }
+
+  /**
+   * @param {File} file
+   * @param {UploadOptions} [options]
+   * @returns {Promise<string>}
+   */
+  async upload(file, { onProgress, signal } = {}) {
+    const url = new URL(this.#endpoint, window.location.href);
+    url.searchParams.set('filename', file.name);
+
+    const request = await send('PUT', url.toString(), file, { 'Content-Type': file.type }, { onProgress, signal });
+
+    /** @type {unknown} */
+    let fileUrl;
+    try {
+      ({ fileUrl } = JSON.parse(request.responseText));
+    } catch (_) {
+      // Reported as an invalid URL below
+    }
+
+    return getHostedUrl(fileUrl, request.status);
+  }
+}
+
+/**
+ * Creates the uploader for an adapter name, as set on the upload block.
+ * @param {string | undefined} adapter - `presigned`, `tus`, `mock`, or anything else for none.
+ * @param {string} [endpoint] - The signing endpoint of the `presigned` adapter, the creation endpoint of the `tus`
+ * one, or the stub server of the `mock` one.
+ * @returns {PhotoUploader | null} The uploader, or null when photos are sent with the form.
+ */
+export function createUploader(adapter, endpoint) {
+  if (adapter === 'presigned' && endpoint) return new PresignedUploader(endpoint);
+  if (adapter === 'tus' && endpoint) return new TusUploader(endpoint);
+  if (adapter === 'mock' && endpoint) return new MockUploader(endpoint);
+
+  return null;
+}
+
+/**
+ * Uploads a file, retrying with an exponential backoff when the failure may be temporary.
+ * @param {PhotoUploader} uploader - The uploader.
+ * @param {File} file - The file to upload.
+ * @param {UploadOptions & { retries?: number }} [options] - The upload options, and the number of retries.
+ * @returns {Promise<string>} The hosted URL of the file.
+ */
+export async function uploadWithRetry(uploader, file, { retries = 3, onProgress, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      onProgress?.(0);
+      return await uploader.upload(file, { onProgress, signal });
+    } catch (error) {
+      const retryable = !(error instanceof UploadError) || error.retryable;
+      if (signal?.aborted || !retryable || attempt >= retries) throw error;
+
+      await wait(RETRY_DELAY * 2 ** attempt, signal);
+    }
+  }
+}
+
+/**
+ * Checks the URL an upload endpoint returned for a file. Object and data URLs only work in the customer's browser,
+ * so an order holding one would have no photo.
+ * @param {unknown} value - The returned URL.
+ * @param {number} status - The HTTP status of the response.
+ * @returns {string} The absolute URL.
+ */
+function getHostedUrl(value, status) {
+  if (typeof value === 'string') {
+    try {
+      const url = new URL(value);
+      if (url.protocol === 'https:' || url.protocol === 'http:') return url.toString();
+    } catch (_) {
+      // Reported below
+    }
+  }
+
+  throw new UploadError('The upload endpoint returned an invalid file URL', status);
+}
+
+/**
+ * Sends a file, or a part of it. Uses XMLHttpRequest, as fetch doesn't report upload progress.
+ * @param {string} method
+ * @param {string} url
+ * @param {Blob | null} body
+ * @param {Record<string, string>} headers
+ * @param {UploadOptions} options
+ * @returns {Promise<XMLHttpRequest>} The completed request.
+ */
+function send(method, url, body, headers, { onProgress, signal }) {
+  return new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest();
+
+    request.open(method, url);
+    for (const [name, value] of Object.entries(headers)) request.setRequestHeader(name, value);
+
+    request.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) onProgress?.(event.loaded / event.total);
+    });
+    request.addEventListener('load', () => {
+      if (request.status >= 200 && request.status < 300) {
+        resolve(request);
+      } else {
+        reject(new UploadError('The upload was rejected', request.status));
+      }
+    });
+    request.addEventListener('error', () => reject(new UploadError('The upload was interrupted')));
+    request.addEventListener('abort', () => reject(signal?.reason ?? new DOMException('Aborted', 'AbortError')));
+
+    signal?.addEventListener('abort', () => request.abort(), { once: true });
+
+    request.send(body);
+  });
+}
+
+/**
+ * Hashes the content of a file, so the same photo is recognized after it's re-encoded.
+ * @param {File} file
+ * @returns {Promise<string>} The SHA-256 of the file in hex, or its name and date outside secure contexts.
+ */
+async function getContentHash(file) {
+  if (!crypto.subtle) return `${file.name}:${file.lastModified}`;
+
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reads the unfinished resumable uploads, without the expired ones.
+ * @returns {Record<string, ResumableUpload>}
+ */
+function readResumableUploads() {
+  /** @type {Record<string, ResumableUpload>} */
+  const uploads = JSON.parse(localStorage.getItem(RESUMABLE_UPLOADS_KEY) ?? '{}');
+  const now = Date.now();
+
+  for (const [fingerprint, upload] of Object.entries(uploads)) {
+    // Entries stored as plain URLs, without a date, are dropped too
+    if (!(now - (upload?.createdAt ?? 0) < RESUMABLE_UPLOAD_EXPIRY)) delete uploads[fingerprint];
+  }
+
+  return uploads;
+}
+
+/**
+ * @param {string} fingerprint - The endpoint and file of the upload.
+ * @returns {string | null} The URL of the unfinished upload of the file.
+ */
+function getResumableUpload(fingerprint) {
+  try {
+    return readResumableUploads()[fingerprint]?.uploadUrl ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Stores or removes an unfinished upload, and removes the expired ones.
+ * @param {string} fingerprint - The endpoint and file of the upload.
+ * @param {string | null} uploadUrl - The URL of the unfinished upload, null once it's finished.
+ */
+function setResumableUpload(fingerprint, uploadUrl) {
+  try {
+    const uploads = readResumableUploads();
+
+    if (uploadUrl) {
+      uploads[fingerprint] = { uploadUrl, createdAt: Date.now() };
+    } else {
+      delete uploads[fingerprint];
+    }
+
+    if (Object.keys(uploads).length) {
+      localStorage.setItem(RESUMABLE_UPLOADS_KEY, JSON.stringify(uploads));
+    } else {
+      localStorage.removeItem(RESUMABLE_UPLOADS_KEY);
+    }
+  } catch (_) {
+    // Without storage, uploads only resume within the page
+  }
+}
+
+/**
+ * Encodes text as base64, as used in tus metadata.
+ * @param {string} text
+ * @returns {string}
+ */
+function toBase64(text) {
+  return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+/**
+ * @param {number} duration - The delay, in milliseconds.
+ * @param {AbortSignal} [signal] - Rejects early when aborted.
+ * @returns {Promise<void>}
+ */
+function wait(duration, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const timeout = setTimeout(resolve, duration);
+
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timeout);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
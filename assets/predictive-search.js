@@ -4,11 +4,13 @@ import { sectionRenderer } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
 import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
+import { searchQuery } from '@theme/search-query';
 
 /**
  * A custom element that allows the user to search for resources available on the store.
  *
  * @typedef {object} Refs
+ * @property {HTMLFormElement} form - The search form.
  * @property {HTMLInputElement} searchInput - The search input element.
  * @property {HTMLElement} predictiveSearchResults - The predictive search results container.
  * @property {HTMLElement} resetButton - The reset button element.
@@ -210,8 +212,7 @@ class PredictiveSearchComponent extends Component {
           event.preventDefault();
           this.#currentItem?.querySelector('a')?.click();
         } else {
-          const searchUrl = new URL(Theme.routes.search_url, location.origin);
-          searchUrl.searchParams.set('q', this.refs.searchInput.value);
+          const searchUrl = searchQuery.getSearchUrl(this.refs.searchInput.value);
           window.location.href = searchUrl.toString();
         }
         break;
@@ -219,6 +220,20 @@ class PredictiveSearchComponent extends Component {
     }
   };
 
+  /**
+   * Searches for the synonyms of the terms, keeping the terms to offer searching for them instead.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  handleSubmit(event) {
+    const terms = this.refs.searchInput.value.trim();
+    const url = searchQuery.getSearchUrl(terms, this.refs.form);
+
+    if (!terms || url.searchParams.get('q') === terms) return;
+
+    event.preventDefault();
+    window.location.href = url.toString();
+  }
+
   /**
    * Clears the recently viewed products.
    * @param {Event} event - The event.
@@ -298,18 +313,16 @@ class PredictiveSearchComponent extends Component {
    * @param {string} searchTerm - The term to search for
    */
   async #getSearchResults(searchTerm) {
-    if (!this.dataset.sectionId) return;
-
-    const url = new URL(Theme.routes.predictive_search_url, location.origin);
-    url.searchParams.set('q', searchTerm);
-    url.searchParams.set('resources[limit_scope]', 'each');
+    const { sectionId } = this.dataset;
+    if (!sectionId) return;
 
     const { predictiveSearchResults } = this.refs;
 
     const abortController = this.#createAbortController();
 
     sectionRenderer
-      .getSectionHTML(this.dataset.sectionId, false, url)
+      .getSectionHTML(sectionId, false, this.#getPredictiveSearchUrl(searchQuery.applySynonyms(searchTerm)))
+      .then((resultsMarkup) => this.#getCorrectedResults(sectionId, searchTerm, resultsMarkup, abortController.signal))
       .then((resultsMarkup) => {
         if (!resultsMarkup) return;
 
@@ -318,6 +331,7 @@ class PredictiveSearchComponent extends Component {
         morph(predictiveSearchResults, resultsMarkup);
 
         this.#resetScrollPositions();
+        this.#flagProductsWithDrafts();
       })
       .catch((error) => {
         if (abortController.signal.aborted) return;
@@ -325,6 +339,46 @@ class PredictiveSearchComponent extends Component {
       });
   }
 
+  /**
+   * @param {string} searchTerm - The term to search for
+   * @returns {URL} The URL of the predictive search results for the term
+   */
+  #getPredictiveSearchUrl(searchTerm) {
+    const url = new URL(Theme.routes.predictive_search_url, location.origin);
+    url.searchParams.set('q', searchTerm);
+    url.searchParams.set('resources[limit_scope]', 'each');
+
+    return url;
+  }
+
+  /**
+   * Fetches the results of the corrected term when the term has none.
+   * @param {string} sectionId - The section ID
+   * @param {string} searchTerm - The term the customer typed
+   * @param {string} resultsMarkup - The markup of the results for the term
+   * @param {AbortSignal} signal - The signal of the search
+   * @returns {Promise<string>} The markup of the results to show
+   */
+  async #getCorrectedResults(sectionId, searchTerm, resultsMarkup, signal) {
+    const resultsCount = new DOMParser()
+      .parseFromString(resultsMarkup, 'text/html')
+      .querySelector('[data-results-count]')
+      ?.getAttribute('data-results-count');
+
+    if (resultsCount !== '0') return resultsMarkup;
+
+    const correctedTerm = await searchQuery.correct(searchTerm);
+    if (signal.aborted || correctedTerm === searchQuery.applySynonyms(searchTerm)) return resultsMarkup;
+
+    const correctedMarkup = await sectionRenderer.getSectionHTML(
+      sectionId,
+      false,
+      this.#getPredictiveSearchUrl(correctedTerm)
+    );
+
+    return correctedMarkup || resultsMarkup;
+  }
+
   /**
    * Fetch the markup for the recently viewed products.
    * @returns {Promise<string | null>} The markup for the recently viewed products.
@@ -409,7 +463,20 @@ class PredictiveSearchComponent extends Component {
 
     morph(predictiveSearchResults, parsedEmptySectionMarkup);
     this.#resetScrollPositions();
+    this.#flagProductsWithDrafts();
   };
+
+  /**
+   * Flags the products the customer started to personalize.
+   */
+  async #flagProductsWithDrafts() {
+    const handles = await RecentlyViewed.getProductsWithDrafts();
+
+    for (const item of this.refs.predictiveSearchResults.querySelectorAll('[data-product-handle]')) {
+      if (!(item instanceof HTMLElement)) continue;
+      item.toggleAttribute('data-has-draft', handles.includes(item.dataset.productHandle ?? ''));
+    }
+  }
 }
 
 if (!customElements.get('predictive-search-component')) {
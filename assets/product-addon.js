@@ -0,0 +1,114 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, AddonUpdateEvent, PetCountUpdateEvent, ProductFormSubmitEvent } from '@theme/events';
+
+/**
+ * @typedef {'checkbox' | 'per_extra_pet'} AddonMode
+ */
+
+/**
+ * @typedef {object} ProductAddonRefs
+ * @property {HTMLInputElement} [checkbox] - The checkbox selecting the add-on, for add-ons the customer opts into.
+ * @property {HTMLElement} [quantityLabel] - The quantity of the add-on, with a `data-template`, for add-ons per extra pet.
+ */
+
+/**
+ * A custom element that offers a paid add-on, like background removal or gift wrap, for a personalized product.
+ *
+ * Add-ons are variants of a hidden product, added to the cart along with the product and grouped with it. They are
+ * either picked by the customer, or follow the number of pets, e.g. one "Extra pet" per pet after the first.
+ * The current quantity is kept in `data-quantity`, which the product price reads to show the total.
+ *
+ * @extends Component<ProductAddonRefs>
+ */
+class ProductAddonComponent extends Component {
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog');
+    target?.addEventListener(ThemeEvents.productFormSubmit, this.#onProductFormSubmit, { signal });
+
+    if (this.mode === 'per_extra_pet') {
+      target?.addEventListener(ThemeEvents.petCountUpdate, this.#onPetCountUpdate, { signal });
+
+      // The upload block may have announced the number of pets before this element was upgraded
+      const uploader = target?.querySelector('product-image-upload-component');
+      if (uploader instanceof HTMLElement && uploader.dataset.petCount) {
+        this.#setQuantity(Number(uploader.dataset.petCount) - 1);
+      }
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * How the quantity of the add-on is picked.
+   * @returns {AddonMode}
+   */
+  get mode() {
+    return this.dataset.mode === 'per_extra_pet' ? 'per_extra_pet' : 'checkbox';
+  }
+
+  /**
+   * The quantity of the add-on per unit of the product, 0 when it's not selected.
+   * @returns {number}
+   */
+  get quantity() {
+    return Number(this.dataset.quantity) || 0;
+  }
+
+  handleChange() {
+    this.#setQuantity(this.refs.checkbox?.checked ? 1 : 0);
+  }
+
+  /**
+   * @param {PetCountUpdateEvent} event
+   */
+  #onPetCountUpdate = (event) => {
+    if (event.detail.productId !== this.dataset.productId) return;
+
+    this.#setQuantity(event.detail.count - 1);
+  };
+
+  /**
+   * Adds the add-on to the cart along with the product.
+   * @param {ProductFormSubmitEvent} event
+   */
+  #onProductFormSubmit = (event) => {
+    if (event.detail.productId !== this.dataset.productId) return;
+
+    const { variantId } = this.dataset;
+    if (!variantId || !this.quantity) return;
+
+    event.addItem(variantId, this.quantity);
+  };
+
+  /**
+   * @param {number} quantity - The quantity of the add-on per unit of the product.
+   */
+  #setQuantity(quantity) {
+    const { quantityLabel } = this.refs;
+    const value = Math.max(0, quantity);
+
+    if (quantityLabel) {
+      quantityLabel.textContent = (quantityLabel.dataset.template ?? '').replace('[count]', value.toString());
+    }
+
+    this.hidden = this.mode === 'per_extra_pet' && value === 0;
+
+    if (value === this.quantity) return;
+
+    this.dataset.quantity = value.toString();
+    this.dispatchEvent(new AddonUpdateEvent(this.dataset.variantId ?? '', value, this.dataset.productId ?? ''));
+  }
+}
+
+if (!customElements.get('product-addon-component')) {
+  customElements.define('product-addon-component', ProductAddonComponent);
+}
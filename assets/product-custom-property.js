@@ -1,32 +1,269 @@
 // assets/product-custom-property.js
 import { Component } from '@theme/component';
+import { ThemeEvents, PetCountUpdateEvent, ProductFormSubmitEvent, VariantUpdateEvent } from '@theme/events';
+import {
+  countCharacters,
+  getPropertyFields,
+  getSubmittedField,
+  matchesCondition,
+  matchesVariant,
+  parseFieldDefinition,
+  renderCount,
+  truncateCharacters,
+  validateField,
+} from '@theme/personalization-fields';
 
 /**
  * @typedef {object} ProductCustomPropertyRefs
- * @property {HTMLInputElement | HTMLTextAreaElement} textInput - The text input.
- * @property {HTMLElement} characterCount - The character count element.
+ * @property {HTMLInputElement | HTMLTextAreaElement} [textInput] - The text input, for text fields.
+ * @property {HTMLElement} [characterCount] - The character count element, for text fields.
+ * @property {HTMLElement} container - The block container, holding the block settings.
+ * @property {HTMLScriptElement} definition - The field definition, as JSON.
+ * @property {HTMLElement} error - The error message of the field.
  */
 
 /**
- * A custom element that manages product custom properties
+ * A custom element that manages product custom properties.
+ *
+ * The field is described by a definition rendered from the block settings: its kind, its validation rules, and
+ * when it shows. A field shows when the selected variant has enough pets, has one of the listed option values,
+ * and the field it depends on has a matching value. Hidden fields are disabled so they are neither validated nor
+ * submitted, but keep their value.
+ *
  * @extends Component<ProductCustomPropertyRefs>
  */
 class ProductCustomProperty extends Component {
+  requiredRefs = ['container', 'definition', 'error'];
+
+  #abortController = new AbortController();
+
+  /** @type {import('@theme/personalization-fields').FieldDefinition | undefined} */
+  #definition;
+
+  #visibility = { pets: true, variant: true, condition: true };
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog');
+    target?.addEventListener(ThemeEvents.petCountUpdate, this.#onPetCountUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    target?.addEventListener(ThemeEvents.productFormSubmit, this.#onProductFormSubmit, { signal });
+
+    const { visibleWhen } = this.definition;
+    if (visibleWhen) {
+      // Fields are outside the form element and linked with a `form` attribute, so listen on the section
+      target?.addEventListener('input', this.#onFieldChange, { signal });
+      target?.addEventListener('change', this.#onFieldChange, { signal });
+      this.#visibility.condition = matchesCondition(this.definition, this.#getValueOf(visibleWhen.key));
+    }
+
+    this.#visibility.variant = matchesVariant(this.definition, this.#getSelectedOptions());
+
+    // The upload block may have announced the number of pets before this element was upgraded
+    const uploader = target?.querySelector('product-image-upload-component');
+    if (uploader instanceof HTMLElement && uploader.dataset.petCount) {
+      this.#visibility.pets = this.#matchesPetCount(Number(uploader.dataset.petCount));
+    }
+
+    this.#updateVisibility();
+    this.#updateCharacterCount();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * The definition of the field.
+   * @returns {import('@theme/personalization-fields').FieldDefinition}
+   */
+  get definition() {
+    this.#definition ??= parseFieldDefinition(this.refs.definition.textContent || '{}');
+    return this.#definition;
+  }
+
+  /**
+   * The submitted value of the field, empty when it's hidden or nothing is picked.
+   * @returns {string}
+   */
+  get value() {
+    if (this.hidden) return '';
+
+    return getSubmittedField(this.#fields)?.value ?? '';
+  }
+
   handleInput() {
+    const { textInput } = this.refs;
+    const { kind, maxLength } = this.definition;
+
+    // Emoji take several code units, so emoji-safe fields are limited here rather than with `maxlength`
+    if (kind === 'emoji_text' && textInput && maxLength) {
+      const truncated = truncateCharacters(textInput.value, maxLength);
+      if (truncated !== textInput.value) textInput.value = truncated;
+    }
+
     this.#updateCharacterCount();
+
+    // Clear the error as soon as the customer fixes the value
+    if (!this.refs.error.hidden) this.validate();
+  }
+
+  handleChange() {
+    this.validate();
+  }
+
+  /**
+   * Validates the value of the field and shows its error.
+   * @returns {string | null} The error message, or null when the value is valid or the field is hidden.
+   */
+  validate() {
+    const error = this.hidden ? null : validateField(this.definition, this.value);
+    const message = error ? this.#getErrorMessage(error) : null;
+    const { error: errorElement } = this.refs;
+
+    errorElement.textContent = message ?? '';
+    errorElement.hidden = !message;
+
+    for (const field of this.#fields) {
+      if (message) {
+        field.setAttribute('aria-invalid', 'true');
+        field.setAttribute('aria-describedby', errorElement.id);
+      } else {
+        field.removeAttribute('aria-invalid');
+        field.removeAttribute('aria-describedby');
+      }
+    }
+
+    return message;
   }
 
   #updateCharacterCount() {
     const { characterCount, textInput } = this.refs;
-    const currentLength = textInput.value.length;
-    const maxLength = textInput.maxLength;
+    if (!characterCount || !textInput) return;
+
+    renderCount(characterCount, countCharacters(textInput.value), this.definition.maxLength || textInput.maxLength);
+  }
+
+  /**
+   * @param {PetCountUpdateEvent} event
+   */
+  #onPetCountUpdate = (event) => {
+    this.#visibility.pets = this.#matchesPetCount(event.detail.count);
+    this.#updateVisibility();
+  };
+
+  /**
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.productId !== this.refs.container.dataset.productId) return;
+
+    const variant = /** @type {{ options?: string[] } | null} */ (event.detail.resource);
+
+    this.#visibility.variant = matchesVariant(this.definition, variant?.options ?? []);
+    this.#updateVisibility();
+  };
+
+  /**
+   * Re-evaluates the visibility when the field it depends on changes.
+   * @param {Event} event
+   */
+  #onFieldChange = (event) => {
+    const { visibleWhen } = this.definition;
+    const field = event.target;
+
+    if (!visibleWhen || !(field instanceof HTMLElement) || this.contains(field)) return;
+    if (field.getAttribute('name') !== `properties[${visibleWhen.key}]`) return;
+
+    this.#visibility.condition = matchesCondition(this.definition, this.#getValueOf(visibleWhen.key));
+    this.#updateVisibility();
+  };
+
+  /**
+   * Reports the error of the field, which stops the cart add.
+   * @param {ProductFormSubmitEvent} event
+   */
+  #onProductFormSubmit = (event) => {
+    if (event.detail.productId !== this.refs.container.dataset.productId) return;
+
+    const message = this.validate();
+    if (message) event.reportError(message, this.#fields[0]);
+  };
+
+  /**
+   * Fields that belong to a given pet, e.g. "Second pet name", only show when the variant has that many pets.
+   * @param {number} count - The number of pets.
+   * @returns {boolean}
+   */
+  #matchesPetCount(count) {
+    const petNumber = Number(this.refs.container.dataset.petNumber) || 0;
+    return petNumber <= count;
+  }
+
+  #updateVisibility() {
+    const { pets, variant, condition } = this.#visibility;
+    const active = pets && variant && condition;
+
+    if (this.hidden === !active) return;
+
+    this.hidden = !active;
+
+    for (const field of this.#fields) field.disabled = !active;
+
+    if (!active) this.validate();
+
+    // Fields that depend on this one follow its visibility, as a hidden field has no value
+    this.#fields[0]?.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Gets the submitted value of a property field of the product form.
+   * @param {string} key - The property name.
+   * @returns {string} The value, empty when the field is disabled or nothing is picked.
+   */
+  #getValueOf(key) {
+    const formId = this.#fields[0]?.getAttribute('form');
+    const form = formId ? document.getElementById(formId) : null;
 
-    const template = characterCount.getAttribute('data-template');
-    if (!template) return;
+    return getSubmittedField(getPropertyFields(form instanceof HTMLFormElement ? form : null, key))?.value ?? '';
+  }
 
-    const updatedText = template.replace('[current]', currentLength.toString()).replace('[max]', maxLength.toString());
+  /**
+   * @returns {string[]} The option values of the variant selected when the page was rendered.
+   */
+  #getSelectedOptions() {
+    try {
+      return JSON.parse(this.refs.container.dataset.selectedOptions || '[]');
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {import('@theme/personalization-fields').ValidationError} error
+   * @returns {string}
+   */
+  #getErrorMessage(error) {
+    if (error === 'pattern' && this.refs.container.dataset.patternMessage) {
+      return this.refs.container.dataset.patternMessage;
+    }
+
+    const attribute = `error${error[0]?.toUpperCase()}${error.slice(1)}`;
+    return this.refs.container.dataset[attribute] ?? '';
+  }
 
-    characterCount.textContent = updatedText;
+  /**
+   * @returns {(HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement)[]}
+   */
+  get #fields() {
+    return Array.from(this.querySelectorAll('input, textarea, select')).filter(
+      (field) =>
+        field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement || field instanceof HTMLSelectElement
+    );
   }
 }
 
@@ -1,11 +1,23 @@
 import { Component } from '@theme/component';
 import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, CartAddEvent, CartErrorEvent, ProductFormSubmitEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
 import { morph } from '@theme/morph';
+import { QuantitySelectorComponent } from '@theme/component-quantity-selector';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
+/**
+ * The private line item property that groups a product with the paid add-ons added along with it.
+ */
+export const ADDON_GROUP_PROPERTY = '_addon_group';
+
+/**
+ * The private line item property of a paid add-on, holding the group of the product it was added for.
+ */
+export const ADDON_FOR_PROPERTY = '_addon_for';
+
 /**
  * A custom element that manages an add to cart button.
  *
@@ -114,6 +126,16 @@ export class AddToCartComponent extends Component {
       }, 10);
     }, ADD_TO_CART_TEXT_ANIMATION_DURATION);
   }
+
+  /**
+   * Brings the add to cart button back to its initial state, when the item wasn't added after all.
+   */
+  cancelAddToCartAnimation() {
+    if (this.#animationTimeout) clearTimeout(this.#animationTimeout);
+    if (this.#cleanupTimeout) clearTimeout(this.#cleanupTimeout);
+
+    this.refs.addToCartButton.classList.remove('atc-added');
+  }
 }
 
 if (!customElements.get('add-to-cart-component')) {
@@ -159,7 +181,7 @@ class ProductFormComponent extends Component {
    *
    * @param {Event} event - The submit event.
    */
-  handleSubmit(event) {
+  async handleSubmit(event) {
     const { addToCartTextError } = this.refs;
     // Stop default behaviour from the browser
     event.preventDefault();
@@ -174,7 +196,13 @@ class ProductFormComponent extends Component {
 
     if (!form) throw new Error('Product form element missing');
 
-    const formData = new FormData(form);
+    const submitEvent = await this.#prepareSubmit(form);
+    if (!submitEvent) return;
+
+    const fields = new FormData(form);
+    const formData = submitEvent.items.length ? toItemsFormData(fields, submitEvent.items) : fields;
+    const quantity = Number(fields.get('quantity')) || Number(this.dataset.quantityDefault);
+    const itemCount = quantity * submitEvent.items.reduce((count, item) => count + item.quantity, 1);
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
     let cartItemComponentsSectionIds = [];
@@ -187,7 +215,7 @@ class ProductFormComponent extends Component {
 
     const fetchCfg = fetchConfig('javascript', { body: formData });
 
-    fetch(Theme.routes.cart_add_url, {
+    const request = fetch(Theme.routes.cart_add_url, {
       ...fetchCfg,
       headers: {
         ...fetchCfg.headers,
@@ -230,14 +258,14 @@ class ProductFormComponent extends Component {
             new CartAddEvent({}, this.id, {
               didError: true,
               source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+              itemCount,
               productId: this.dataset.productId,
             })
           );
 
           return;
         } else {
-          const id = formData.get('id');
+          const id = fields.get('id');
 
           if (addToCartTextError) {
             addToCartTextError.classList.add('hidden');
@@ -262,7 +290,7 @@ class ProductFormComponent extends Component {
           this.dispatchEvent(
             new CartAddEvent({}, id.toString(), {
               source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+              itemCount,
               productId: this.dataset.productId,
               sections: response.sections,
             })
@@ -276,6 +304,38 @@ class ProductFormComponent extends Component {
         // add more thing to do in here if needed.
         cartPerformance.measureFromEvent('add:user-action', event);
       });
+
+    cartStore.track(request);
+  }
+
+  /**
+   * Lets blocks validate their fields, add their items, and finish work the cart add depends on, like photo uploads,
+   * while the button is disabled.
+   * @param {HTMLFormElement} form - The product form.
+   * @returns {Promise<ProductFormSubmitEvent | null>} The dispatched event, or null when the cart add can't go ahead.
+   */
+  async #prepareSubmit(form) {
+    const submitEvent = new ProductFormSubmitEvent(form, this.dataset.productId ?? '');
+    this.dispatchEvent(submitEvent);
+
+    const [firstError] = submitEvent.errors;
+
+    if (firstError) {
+      this.refs.addToCartButtonContainer?.cancelAddToCartAnimation();
+      this.#setLiveRegionText(submitEvent.errors.map(({ message }) => message).join(' '));
+      firstError.field?.focus();
+      return null;
+    }
+
+    if (!submitEvent.pending.length) return submitEvent;
+
+    const addToCartButtonContainer = this.refs.addToCartButtonContainer;
+
+    addToCartButtonContainer?.disable();
+    await Promise.allSettled(submitEvent.pending);
+    addToCartButtonContainer?.enable();
+
+    return submitEvent;
   }
 
   /**
@@ -325,6 +385,17 @@ class ProductFormComponent extends Component {
     // Update the variant ID
     variantId.value = event.detail.resource.id ?? '';
 
+    // Variants can have different quantity rules
+    const quantitySelector = this.querySelector('quantity-selector-component');
+    const newQuantitySelector = event.detail.data.html.querySelector(
+      'product-form-component quantity-selector-component'
+    );
+
+    if (quantitySelector instanceof QuantitySelectorComponent && newQuantitySelector) {
+      quantitySelector.updateRule(newQuantitySelector);
+      this.dataset.quantityDefault = String(quantitySelector.rule.min);
+    }
+
     // Set the data attribute for the add to cart button to the product variant media if it exists
     if (event.detail.resource) {
       const productVariantMedia = event.detail.resource.featured_media?.preview_image?.src;
@@ -428,6 +499,35 @@ class FlyToCart extends HTMLElement {
   }
 }
 
+/**
+ * Turns the fields of a product form into a multi-item cart add: the product first, followed by its add-ons.
+ * The items are grouped with private properties, so the add-ons can follow the product in the cart.
+ * @param {FormData} fields - The fields of the product form.
+ * @param {{ id: string, quantity: number }[]} addons - The add-ons, with their quantity per unit of the product.
+ * @returns {FormData}
+ */
+function toItemsFormData(fields, addons) {
+  const group = crypto.randomUUID();
+  const quantity = Number(fields.get('quantity')) || 1;
+  const formData = new FormData();
+
+  for (const [name, value] of fields) {
+    const itemField = name.match(/^(id|quantity|selling_plan|properties)(\[.+\])?$/);
+    formData.append(itemField ? `items[0][${itemField[1]}]${itemField[2] ?? ''}` : name, value);
+  }
+
+  formData.set('items[0][quantity]', String(quantity));
+  formData.set(`items[0][properties][${ADDON_GROUP_PROPERTY}]`, group);
+
+  addons.forEach((addon, index) => {
+    formData.set(`items[${index + 1}][id]`, addon.id);
+    formData.set(`items[${index + 1}][quantity]`, String(addon.quantity * quantity));
+    formData.set(`items[${index + 1}][properties][${ADDON_FOR_PROPERTY}]`, group);
+  });
+
+  return formData;
+}
+
 /**
  * Calculates a point on a cubic Bézier curve.
  * @param {number} t - The parameter value (0 <= t <= 1).
@@ -0,0 +1,1572 @@
+import { Component } from '@theme/component';
+import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
+import { clamp, debounce, fetchConfig } from '@theme/utilities';
+import { analyzePhoto } from '@theme/photo-quality';
+import { CustomizationDrafts, DraftSync } from '@theme/customization-drafts';
+import { createUploader, uploadWithRetry } from '@theme/photo-uploader';
+import { ADDON_FOR_PROPERTY, ADDON_GROUP_PROPERTY } from '@theme/product-form';
+import {
+  ThemeEvents,
+  CartAddEvent,
+  CartUpdateEvent,
+  PetCountUpdateEvent,
+  PetPhotoUpdateEvent,
+  ProductFormSubmitEvent,
+  VariantUpdateEvent,
+} from '@theme/events';
+
+/**
+ * MIME types accepted by the upload slots. HEIC/HEIF files are converted to JPEG before they are attached.
+ */
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+/**
+ * The longest edge, in pixels, of an image produced by the crop step or by a HEIC conversion.
+ */
+const MAX_OUTPUT_EDGE = 4096;
+
+/**
+ * The JPEG quality used when re-encoding images.
+ */
+const JPEG_QUALITY = 0.92;
+
+/**
+ * The width, in CSS pixels, of the crop canvas. The height is derived from the aspect ratio.
+ */
+const CROP_VIEW_WIDTH = 320;
+
+/**
+ * The number of milliseconds in a day, drafts expire after a number of days set on the block.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The URL parameter holding the key of the cart line to edit, set by the "Edit design" link of the cart.
+ */
+const EDIT_PARAMETER = 'edit';
+
+/**
+ * @typedef {object} CropState
+ * @property {number} rotation - The rotation of the image, in degrees.
+ * @property {number} zoom - The zoom factor on top of the scale that covers the frame.
+ * @property {number} x - The horizontal offset of the image, in crop view pixels.
+ * @property {number} y - The vertical offset of the image, in crop view pixels.
+ */
+
+/**
+ * @typedef {object} PhotoSource
+ * @property {File} original - The photo as picked by the customer.
+ * @property {CropState} [crop] - The crop applied to it.
+ */
+
+/**
+ * @typedef {object} CartLine
+ * @property {string} key - The key of the line.
+ * @property {number} product_id - The product ID.
+ * @property {number} quantity - The quantity.
+ * @property {Record<string, string> | null} properties - The line item properties.
+ */
+
+/**
+ * @typedef {object} ProductImageUploadRefs
+ * @property {HTMLElement[]} slots - The upload slots, one per line item property.
+ * @property {ProductImageCropDialog} [cropDialog] - The crop dialog, when cropping is enabled.
+ * @property {HTMLScriptElement} [petCounts] - The number of pets of each variant, keyed by variant ID.
+ * @property {HTMLElement} [resumePrompt] - The prompt offering to restore a saved draft.
+ */
+
+/**
+ * A custom element that manages the pet photo upload slots of a product form.
+ *
+ * Each slot holds a file input that is submitted with the product form as a `properties[...]` field.
+ * Files are validated against the block settings and optionally cropped and rotated before being attached.
+ * The number of active slots follows the number of pets of the selected variant. Inactive slots are hidden
+ * and disabled, so their files are kept but not submitted.
+ *
+ * When an upload adapter is set, photos are uploaded in the background as soon as they are attached. Once uploaded,
+ * the file input loses its name and a hidden `properties[_Image 1 URL]` field carries the hosted URL instead, so the
+ * cart add stays small. A failed upload falls back to sending the file with the form.
+ *
+ * When drafts are enabled, the photos and the `properties[...]` fields of the product form are saved to
+ * IndexedDB as the customer goes, and offered back the next time the product is opened. With a sync endpoint, the
+ * drafts of logged-in customers are also synced between their devices, with the uploaded URLs of their photos.
+ *
+ * When the product is opened from the "Edit design" link of a cart line, the photos and fields are prefilled from the
+ * line, and the line is replaced by the edited design once it's added to the cart.
+ *
+ * @extends Component<ProductImageUploadRefs>
+ */
+export class ProductImageUploadComponent extends Component {
+  requiredRefs = ['slots'];
+
+  /** @type {Map<HTMLElement, string>} */
+  #objectUrls = new Map();
+
+  /** @type {Record<string, number> | undefined} */
+  #petCounts;
+
+  /** @type {Map<HTMLElement, PhotoSource>} */
+  #sources = new Map();
+
+  /** @type {Map<HTMLElement, { controller: AbortController, promise: Promise<void> }>} */
+  #uploads = new Map();
+
+  /** @type {import('@theme/photo-uploader').PhotoUploader | null} */
+  #uploader = null;
+
+  /**
+   * The saved draft, while the customer hasn't chosen to resume it or start over.
+   * @type {Pick<import('@theme/customization-drafts').CustomizationDraft, 'photos' | 'properties'> | null}
+   */
+  #pendingDraft = null;
+
+  /**
+   * Whether the design changed while the resume prompt was showing, to save it once the customer answers.
+   */
+  #hasQueuedSave = false;
+
+  /**
+   * Syncs the drafts of the logged-in customer between devices, null when they stay in the browser.
+   * @type {DraftSync | null}
+   */
+  #draftSync = null;
+
+  /**
+   * The cart line being edited, and its quantity when the design was opened.
+   * @type {{ key: string, quantity: number } | null}
+   */
+  #editedLine = null;
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog');
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+
+    this.#uploader = createUploader(this.dataset.uploadAdapter, this.dataset.uploadEndpoint);
+    if (this.#uploader) target?.addEventListener(ThemeEvents.productFormSubmit, this.#onProductFormSubmit, { signal });
+
+    this.dispatchEvent(new PetCountUpdateEvent(this.petCount, this.dataset.productId ?? ''));
+
+    document.addEventListener(CartAddEvent.eventName, this.#onCartAdd, { signal });
+
+    if (this.#draftsEnabled) {
+      const { draftSyncEndpoint } = this.dataset;
+      if (draftSyncEndpoint) this.#draftSync = new DraftSync(draftSyncEndpoint);
+
+      // Fields are often outside the form element and linked with a `form` attribute, so listen on the section
+      target?.addEventListener('input', this.#onPropertyInput, { signal });
+      target?.addEventListener('change', this.#onPropertyInput, { signal });
+    }
+
+    const editedLineKey = new URLSearchParams(window.location.search).get(EDIT_PARAMETER);
+
+    if (editedLineKey) {
+      this.#loadCartLine(editedLineKey);
+    } else if (this.#draftsEnabled) {
+      this.#loadDraft();
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#saveDraft.cancel();
+
+    for (const { controller } of this.#uploads.values()) controller.abort();
+    this.#uploads.clear();
+
+    for (const url of this.#objectUrls.values()) URL.revokeObjectURL(url);
+    this.#objectUrls.clear();
+  }
+
+  /**
+   * Handles a file being picked in one of the slots.
+   * @param {Event} event - The change event.
+   */
+  async handleFileChange(event) {
+    const input = event.target;
+    if (!(input instanceof HTMLInputElement)) return;
+
+    const slot = this.#getSlot(input);
+    const file = input.files?.[0];
+
+    if (!slot) return;
+    if (!file) {
+      this.clearSlot(slot);
+      return;
+    }
+
+    this.#setError(slot, '');
+    slot.toggleAttribute('data-processing', true);
+
+    try {
+      const processed = await this.#processFile(slot, file);
+
+      if (!processed) {
+        this.clearSlot(slot, { keepError: true });
+        return;
+      }
+
+      this.#sources.set(slot, { original: file, crop: processed.crop });
+      this.#attachFile(slot, processed.file);
+
+      if (this.dataset.qualityCheck === 'true') await this.#checkQuality(slot, processed.file);
+    } finally {
+      slot.removeAttribute('data-processing');
+    }
+  }
+
+  /**
+   * Opens the crop dialog again on the original photo of a slot, starting from its current crop.
+   * @param {Event} event - The click event.
+   */
+  async adjustCrop(event) {
+    event.preventDefault();
+
+    if (!(event.target instanceof Element)) return;
+
+    const slot = this.#getSlot(event.target);
+    const source = slot && this.#sources.get(slot);
+    if (!slot || !source || !this.refs.cropDialog) return;
+
+    slot.toggleAttribute('data-processing', true);
+
+    try {
+      // A cancelled crop keeps the current photo
+      const processed = await this.#processFile(slot, source.original, source.crop);
+      if (!processed) return;
+
+      this.#sources.set(slot, { original: source.original, crop: processed.crop });
+      this.#attachFile(slot, processed.file);
+
+      if (this.dataset.qualityCheck === 'true') await this.#checkQuality(slot, processed.file);
+    } finally {
+      slot.removeAttribute('data-processing');
+    }
+  }
+
+  /**
+   * Uploads the photo of a slot again after a failed upload.
+   * @param {Event} event - The click event.
+   */
+  retryUpload(event) {
+    event.preventDefault();
+
+    if (!(event.target instanceof Element)) return;
+
+    const slot = this.#getSlot(event.target);
+    const file = slot && this.getFile(this.refs.slots.indexOf(slot));
+
+    if (slot && file) this.#startUpload(slot, file);
+  }
+
+  /**
+   * Restores the saved draft: the photos of each slot and the values of the `properties[...]` fields.
+   */
+  async resumeDraft() {
+    const draft = this.#pendingDraft;
+    if (!draft) return;
+
+    this.#hideResumePrompt();
+
+    await this.#restore(draft);
+  }
+
+  /**
+   * Fills in the `properties[...]` fields and attaches the photos of a draft.
+   * @param {Pick<import('@theme/customization-drafts').CustomizationDraft, 'photos' | 'properties'>} draft
+   */
+  async #restore(draft) {
+    for (const element of this.#form?.elements ?? []) {
+      if (!isPropertyField(element)) continue;
+      if (element.type === 'file' || !(element.name in draft.properties)) continue;
+
+      const value = draft.properties[element.name] ?? '';
+
+      if (isCheckable(element)) {
+        element.checked = element.value === value;
+      } else {
+        element.value = value;
+      }
+
+      // Let character counters and previews catch up
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    for (const photo of draft.photos) {
+      const slot = this.refs.slots[photo.index];
+      if (!slot) continue;
+
+      const file = new File([photo.file], photo.name, { type: photo.file.type });
+      const original = photo.original ? new File([photo.original], photo.name, { type: photo.original.type }) : file;
+
+      this.#sources.set(slot, { original, crop: photo.crop });
+      this.#attachFile(slot, file);
+
+      if (this.dataset.qualityCheck === 'true') await this.#checkQuality(slot, file);
+    }
+  }
+
+  /**
+   * Deletes the saved draft so the customer starts from a blank design.
+   */
+  discardDraft() {
+    this.#hideResumePrompt();
+    this.#deleteDraft();
+  }
+
+  /**
+   * Handles a click on the remove button of a slot.
+   * @param {Event} event - The click event.
+   */
+  removeImage(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (!(event.target instanceof Element)) return;
+
+    const slot = this.#getSlot(event.target);
+    if (slot) this.clearSlot(slot);
+  }
+
+  /**
+   * Empties a slot and resets its preview.
+   * @param {HTMLElement} slot - The slot to clear.
+   * @param {object} [options]
+   * @param {boolean} [options.keepError] - Whether to keep the current error message.
+   */
+  clearSlot(slot, { keepError = false } = {}) {
+    const input = this.#getInput(slot);
+    const image = slot.querySelector('[data-preview-image]');
+
+    const hadFile = Boolean(input?.files?.length);
+
+    this.#revokePreview(slot);
+    this.#sources.delete(slot);
+    this.#resetUpload(slot);
+
+    if (input) input.value = '';
+    image?.removeAttribute('src');
+    slot.classList.remove('product-image-upload__field--has-image');
+
+    this.#showQualityIssues(slot, []);
+    if (!keepError) this.#setError(slot, '');
+
+    if (hadFile) this.#dispatchPhotoUpdate(slot, null);
+  }
+
+  /**
+   * Gets the file currently attached to a slot.
+   * @param {number} index - The index of the slot.
+   * @returns {File | undefined} The attached file.
+   */
+  getFile(index) {
+    const slot = this.refs.slots[index];
+    return slot ? this.#getInput(slot)?.files?.[0] : undefined;
+  }
+
+  /**
+   * Shows as many slots as there are pets. Files in hidden slots are kept in case the customer switches back.
+   * @param {number} count - The number of pets.
+   */
+  setPetCount(count) {
+    const required = this.dataset.required === 'true';
+
+    this.refs.slots.forEach((slot, index) => {
+      const active = index < count;
+      const input = this.#getInput(slot);
+      const acknowledge = slot.querySelector('[data-quality-acknowledge]');
+      const urlField = this.#getUrlField(slot);
+
+      slot.hidden = !active;
+
+      if (urlField) urlField.disabled = !active || !urlField.value;
+
+      if (input) {
+        input.disabled = !active;
+        input.required = active && required;
+        input.toggleAttribute('aria-required', active && required);
+      }
+
+      if (acknowledge instanceof HTMLInputElement) {
+        acknowledge.disabled = !active || !slot.hasAttribute('data-quality-warning');
+      }
+    });
+
+    if (String(count) === this.dataset.petCount) return;
+
+    this.dataset.petCount = String(count);
+    this.dispatchEvent(new PetCountUpdateEvent(count, this.dataset.productId ?? ''));
+  }
+
+  /**
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const count = this.#getPetCounts()[event.detail.resource?.id ?? ''];
+    if (count) this.setPetCount(count);
+  };
+
+  /**
+   * @returns {Record<string, number>}
+   */
+  #getPetCounts() {
+    if (!this.#petCounts) {
+      try {
+        this.#petCounts = JSON.parse(this.refs.petCounts?.textContent || '{}');
+      } catch {
+        this.#petCounts = {};
+      }
+    }
+
+    return this.#petCounts ?? {};
+  }
+
+  /**
+   * Validates a file and turns it into the file that will be submitted with the form.
+   * @param {HTMLElement} slot - The slot the file was picked in.
+   * @param {File} file - The file picked by the customer.
+   * @param {CropState} [crop] - The crop to start from, when adjusting a previous crop.
+   * @returns {Promise<{ file: File, crop?: CropState } | null>} The processed file and its crop, or null if it was
+   * rejected or the crop was cancelled.
+   */
+  async #processFile(slot, file, crop) {
+    const { maxFileSize } = this;
+
+    if (!isAcceptedType(file)) {
+      this.#setError(slot, this.dataset.errorType ?? '');
+      return null;
+    }
+
+    if (maxFileSize && file.size > maxFileSize * 1024 * 1024) {
+      this.#setError(slot, this.dataset.errorSize ?? '');
+      return null;
+    }
+
+    const decoded = await decodeImage(file, this.dataset.heicDecoderUrl);
+
+    if (!decoded) {
+      this.#setError(slot, this.dataset.errorDecode ?? '');
+      return null;
+    }
+
+    try {
+      const { image } = decoded;
+      const { cropDialog } = this.refs;
+
+      if (!this.#fitsMinimum(image.naturalWidth, image.naturalHeight)) {
+        this.#setError(slot, this.dataset.errorResolution ?? '');
+        return null;
+      }
+
+      if (cropDialog) {
+        const blob = await cropDialog.crop(image, this.aspectRatio, this.minimum, crop);
+        return blob ? { file: toJpegFile(blob, file.name), crop: cropDialog.state } : null;
+      }
+
+      if (isHeic(file)) {
+        const blob = await renderToJpeg(image, image.naturalWidth, image.naturalHeight);
+        return blob ? { file: toJpegFile(blob, file.name) } : null;
+      }
+
+      return { file };
+    } finally {
+      URL.revokeObjectURL(decoded.url);
+    }
+  }
+
+  /**
+   * Attaches a processed file to a slot's input and shows its preview.
+   * @param {HTMLElement} slot - The slot.
+   * @param {File} file - The processed file.
+   */
+  #attachFile(slot, file) {
+    const input = this.#getInput(slot);
+    const image = slot.querySelector('[data-preview-image]');
+
+    if (!input || !(image instanceof HTMLImageElement)) return;
+
+    const transfer = new DataTransfer();
+    transfer.items.add(file);
+    input.files = transfer.files;
+
+    this.#revokePreview(slot);
+
+    const url = URL.createObjectURL(file);
+    this.#objectUrls.set(slot, url);
+
+    image.src = url;
+    slot.classList.add('product-image-upload__field--has-image');
+
+    this.#dispatchPhotoUpdate(slot, file);
+
+    if (this.#uploader) this.#startUpload(slot, file);
+  }
+
+  /**
+   * Uploads the photo of a slot in the background, replacing the previous upload of the slot.
+   * @param {HTMLElement} slot - The slot.
+   * @param {File} file - The attached photo.
+   */
+  #startUpload(slot, file) {
+    const uploader = this.#uploader;
+    if (!uploader) return;
+
+    this.#resetUpload(slot);
+
+    const controller = new AbortController();
+    const progress = slot.querySelector('[data-upload-progress]');
+
+    slot.dataset.uploadState = 'uploading';
+
+    const promise = uploadWithRetry(uploader, file, {
+      signal: controller.signal,
+      onProgress: (value) => {
+        if (progress instanceof HTMLProgressElement) progress.value = value;
+      },
+    })
+      .then((url) => {
+        this.#useHostedUrl(slot, url);
+        slot.dataset.uploadState = 'uploaded';
+
+        // Synced drafts keep the uploaded URL of the photo
+        if (this.#draftSync) this.#saveDraft();
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+
+        console.error(error);
+        slot.dataset.uploadState = 'failed';
+      })
+      .finally(() => {
+        if (this.#uploads.get(slot)?.controller === controller) this.#uploads.delete(slot);
+      });
+
+    this.#uploads.set(slot, { controller, promise });
+  }
+
+  /**
+   * Swaps the file input of a slot for the hidden field holding the hosted URL of its photo.
+   * The file stays attached to the input for the preview and drafts, but it isn't submitted anymore.
+   * @param {HTMLElement} slot - The slot.
+   * @param {string} url - The hosted URL.
+   */
+  #useHostedUrl(slot, url) {
+    const input = this.#getInput(slot);
+    const urlField = this.#getUrlField(slot);
+    if (!input || !urlField) return;
+
+    input.dataset.name ||= input.name;
+    input.removeAttribute('name');
+
+    urlField.value = url;
+    urlField.disabled = input.disabled;
+  }
+
+  /**
+   * Cancels the upload of a slot and sends its file with the form again.
+   * @param {HTMLElement} slot - The slot.
+   */
+  #resetUpload(slot) {
+    this.#uploads.get(slot)?.controller.abort();
+    this.#uploads.delete(slot);
+
+    const input = this.#getInput(slot);
+    const urlField = this.#getUrlField(slot);
+
+    if (input?.dataset.name) input.name = input.dataset.name;
+    if (urlField) {
+      urlField.value = '';
+      urlField.disabled = true;
+    }
+
+    delete slot.dataset.uploadState;
+  }
+
+  /**
+   * Holds the cart add until the pending uploads are done.
+   * @param {ProductFormSubmitEvent} event
+   */
+  #onProductFormSubmit = (event) => {
+    if (event.detail.productId !== this.dataset.productId || !this.#uploads.size) return;
+
+    event.waitUntil(Promise.all([...this.#uploads.values()].map(({ promise }) => promise)));
+  };
+
+  /**
+   * @param {HTMLElement} slot
+   * @param {File | null} file
+   */
+  #dispatchPhotoUpdate(slot, file) {
+    this.dispatchEvent(new PetPhotoUpdateEvent(this.refs.slots.indexOf(slot), file, this.dataset.productId ?? ''));
+    if (this.#draftsEnabled) this.#saveDraft();
+  }
+
+  /**
+   * Offers to resume the draft saved in this browser, or the one synced from another device when it's newer.
+   */
+  async #loadDraft() {
+    const handle = this.dataset.productHandle ?? '';
+    const blockId = this.dataset.blockId ?? '';
+
+    try {
+      const [localDraft, syncedDraft] = await Promise.all([
+        CustomizationDrafts.get(handle, blockId),
+        this.#draftSync?.get(handle, blockId).catch((error) => {
+          console.error(error);
+          return null;
+        }) ?? null,
+      ]);
+
+      const draft =
+        syncedDraft && (!localDraft || syncedDraft.updatedAt > localDraft.updatedAt)
+          ? { properties: syncedDraft.properties, photos: await this.#downloadPhotos(syncedDraft.photos) }
+          : localDraft;
+
+      if (!draft || !this.isConnected) return;
+
+      this.#pendingDraft = draft;
+      if (this.refs.resumePrompt) this.refs.resumePrompt.hidden = false;
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  #hideResumePrompt() {
+    this.#pendingDraft = null;
+    if (this.refs.resumePrompt) this.refs.resumePrompt.hidden = true;
+
+    if (this.#hasQueuedSave) {
+      this.#hasQueuedSave = false;
+      this.#saveDraft();
+    }
+  }
+
+  /**
+   * Deletes the draft, in this browser and for the other devices of the customer.
+   */
+  #deleteDraft() {
+    const handle = this.dataset.productHandle ?? '';
+    const blockId = this.dataset.blockId ?? '';
+
+    CustomizationDrafts.delete(handle, blockId).catch(console.error);
+    this.#draftSync?.save(handle, blockId, null).catch(console.error);
+  }
+
+  /**
+   * Saves the photos and the `properties[...]` fields, or deletes the draft when there is nothing to keep.
+   * Changes made while the resume prompt is showing are saved once the customer answers it, so the previous draft
+   * isn't overwritten before they chose to resume it.
+   */
+  #saveDraft = debounce(async () => {
+    if (this.#pendingDraft) {
+      this.#hasQueuedSave = true;
+      return;
+    }
+
+    const handle = this.dataset.productHandle ?? '';
+    const blockId = this.dataset.blockId ?? '';
+
+    /** @type {import('@theme/customization-drafts').DraftPhoto[]} */
+    const photos = [];
+
+    /** @type {import('@theme/customization-drafts').SyncedDraft['photos']} */
+    const uploadedPhotos = [];
+
+    this.refs.slots.forEach((slot, index) => {
+      const file = this.getFile(index);
+      if (!file) return;
+
+      const source = this.#sources.get(slot);
+      photos.push({ index, file, name: file.name, original: source?.original, crop: source?.crop });
+
+      const urlField = this.#getUrlField(slot);
+      if (urlField?.value) uploadedPhotos.push({ index, url: urlField.value, name: file.name });
+    });
+
+    const properties = this.#getPropertyValues();
+
+    if (!photos.length && !Object.keys(properties).length) {
+      this.#deleteDraft();
+      return;
+    }
+
+    const updatedAt = Date.now();
+    const expiresAt = updatedAt + this.#draftExpiry * DAY;
+
+    try {
+      await CustomizationDrafts.save({
+        handle,
+        blockId,
+        productId: this.dataset.productId ?? '',
+        updatedAt,
+        expiresAt,
+        photos,
+        properties,
+      });
+      await this.#draftSync?.save(handle, blockId, { updatedAt, expiresAt, photos: uploadedPhotos, properties });
+    } catch (error) {
+      console.error(error);
+    }
+  }, 500);
+
+  /**
+   * Reads the filled in `properties[...]` fields of the product form, except the photos and their warnings.
+   * @returns {Record<string, string>}
+   */
+  #getPropertyValues() {
+    /** @type {Record<string, string>} */
+    const values = {};
+
+    for (const element of this.#form?.elements ?? []) {
+      if (!isPropertyField(element)) continue;
+      if (!element.name.startsWith('properties[') || element.type === 'file') continue;
+      if (element.hasAttribute('data-quality-acknowledge')) continue;
+      if (isCheckable(element) && !element.checked) continue;
+      if (!element.value) continue;
+
+      values[element.name] = element.value;
+    }
+
+    return values;
+  }
+
+  /**
+   * @param {Event} event
+   */
+  #onPropertyInput = (event) => {
+    const field = event.target;
+
+    if (!(field instanceof Element) || !isPropertyField(field)) return;
+    if (!field.form || field.form !== this.#form || !field.name.startsWith('properties[')) return;
+
+    this.#saveDraft();
+  };
+
+  /**
+   * A successful add to cart completes the design, its draft is no longer needed.
+   * @param {CartAddEvent} event
+   */
+  #onCartAdd = (event) => {
+    const { source, productId, didError } = event.detail.data;
+    if (source !== 'product-form-component' || productId !== this.dataset.productId || didError) return;
+
+    if (this.#draftsEnabled) {
+      this.#saveDraft.cancel();
+      this.#deleteDraft();
+    }
+
+    if (this.#editedLine) this.#replaceEditedLine(this.#editedLine);
+  };
+
+  /**
+   * Prefills the design from a cart line: its properties, its photos and its quantity.
+   * @param {string} key - The key of the cart line.
+   */
+  async #loadCartLine(key) {
+    try {
+      const line = await getCartLine(key);
+      if (!line || String(line.product_id) !== this.dataset.productId) return;
+
+      this.#editedLine = { key, quantity: line.quantity };
+
+      const quantityInput = this.#form?.elements.namedItem('quantity');
+      if (quantityInput instanceof HTMLInputElement) quantityInput.value = String(line.quantity);
+
+      const lineProperties = line.properties ?? {};
+
+      /** @type {Record<string, string>} */
+      const properties = {};
+      for (const [name, value] of Object.entries(lineProperties)) {
+        if (value) properties[`properties[${name}]`] = value;
+      }
+
+      /** @type {{ index: number, url: string, name: string }[]} */
+      const uploadedPhotos = [];
+
+      this.refs.slots.forEach((slot, index) => {
+        const input = this.#getInput(slot);
+        const name = (input?.dataset.name || input?.name || '').slice('properties['.length, -1);
+        const url = lineProperties[`_${name} URL`] || lineProperties[name];
+
+        if (url)
+          uploadedPhotos.push({
+            index,
+            url,
+            name: new URL(url, window.location.href).pathname.split('/').pop() || name,
+          });
+      });
+
+      await this.#restore({ photos: await this.#downloadPhotos(uploadedPhotos), properties });
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Downloads photos from the URLs they were uploaded to.
+   * @param {{ index: number, url: string, name: string }[]} uploadedPhotos - The photos, by slot index.
+   * @returns {Promise<import('@theme/customization-drafts').DraftPhoto[]>} The photos that could be downloaded.
+   */
+  async #downloadPhotos(uploadedPhotos) {
+    /** @type {import('@theme/customization-drafts').DraftPhoto[]} */
+    const photos = [];
+
+    await Promise.all(
+      uploadedPhotos.map(async ({ index, url, name }) => {
+        try {
+          const response = await fetch(url);
+          if (!response.ok) throw new Error(`Could not load the photo ${name}`);
+
+          photos.push({ index, file: await response.blob(), name });
+        } catch (error) {
+          // The customer can still pick the photo again
+          console.error(error);
+        }
+      })
+    );
+
+    return photos;
+  }
+
+  /**
+   * Removes the edited cart line, and its paid add-ons, now that the new design is in the cart.
+   * An unchanged design is merged into the same line by the cart, so the line is brought back to its quantity instead.
+   * @param {{ key: string, quantity: number }} editedLine - The edited line and its quantity before the edit.
+   */
+  async #replaceEditedLine({ key, quantity }) {
+    this.#editedLine = null;
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete(EDIT_PARAMETER);
+    history.replaceState(history.state, '', url);
+
+    try {
+      const lines = await getCartLines();
+      const line = lines.find((item) => item.key === key);
+      if (!line) return;
+
+      const remainingQuantity = Math.max(0, line.quantity - quantity);
+      const group = line.properties?.[ADDON_GROUP_PROPERTY];
+
+      // The add-ons of the design go with it, before the line itself so its response has the final cart
+      if (group && remainingQuantity === 0) {
+        for (const item of lines) {
+          if (item.properties?.[ADDON_FOR_PROPERTY] === group) await changeCartLine(item.key, 0);
+        }
+      }
+
+      const sectionIds = [...document.querySelectorAll('cart-items-component')]
+        .map((element) => (element instanceof HTMLElement ? element.dataset.sectionId : undefined))
+        .filter(Boolean);
+
+      const cart = await changeCartLine(key, remainingQuantity, {
+        sections: sectionIds.join(','),
+        sections_url: window.location.pathname,
+      });
+
+      this.dispatchEvent(
+        new CartUpdateEvent(cart, this.id, {
+          itemCount: cart.item_count,
+          source: 'product-image-upload',
+          sections: cart.sections,
+        })
+      );
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Runs the photo quality checks on an attached file and shows the warnings of the slot.
+   * @param {HTMLElement} slot - The slot.
+   * @param {File} file - The attached file.
+   */
+  async #checkQuality(slot, file) {
+    const decoded = await decodeImage(file, this.dataset.heicDecoderUrl);
+    if (!decoded) return;
+
+    try {
+      // The customer may have picked another photo while this one was being decoded
+      if (this.#getInput(slot)?.files?.[0] !== file) return;
+
+      const { issues } = analyzePhoto(decoded.image);
+      this.#showQualityIssues(slot, issues);
+    } finally {
+      URL.revokeObjectURL(decoded.url);
+    }
+  }
+
+  /**
+   * Shows the quality warnings of a slot. While there are warnings, the acknowledgement checkbox is required,
+   * which blocks the product form from being submitted until the customer chooses to use the photo anyway.
+   * @param {HTMLElement} slot - The slot.
+   * @param {import('@theme/photo-quality').PhotoQualityIssue[]} issues - The issues to show.
+   */
+  #showQualityIssues(slot, issues) {
+    const report = slot.querySelector('[data-quality-report]');
+    const acknowledge = slot.querySelector('[data-quality-acknowledge]');
+
+    if (!report || !(acknowledge instanceof HTMLInputElement)) return;
+
+    const labels = [];
+
+    for (const warning of report.querySelectorAll('[data-quality-issue]')) {
+      if (!(warning instanceof HTMLElement)) continue;
+
+      const visible = issues.includes(/** @type {any} */ (warning.dataset.qualityIssue));
+      warning.hidden = !visible;
+      if (visible) labels.push(warning.textContent?.trim());
+    }
+
+    const hasIssues = issues.length > 0;
+
+    report.toggleAttribute('hidden', !hasIssues);
+    slot.toggleAttribute('data-quality-warning', hasIssues);
+
+    acknowledge.checked = false;
+    acknowledge.required = hasIssues;
+    acknowledge.disabled = !hasIssues;
+    acknowledge.value = labels.join(', ');
+  }
+
+  /**
+   * Checks that the largest crop of the image at the portrait's aspect ratio meets the minimum resolution, as the
+   * crop step requires. A wide landscape photo can be large and still too short for a portrait crop.
+   * @param {number} width - The image width.
+   * @param {number} height - The image height.
+   * @returns {boolean} Whether the image is large enough.
+   */
+  #fitsMinimum(width, height) {
+    const { aspectRatio } = this;
+    const { width: minWidth, height: minHeight } = this.minimum;
+    const cropWidth = Math.min(width, height * aspectRatio);
+
+    return cropWidth >= minWidth && cropWidth / aspectRatio >= minHeight;
+  }
+
+  /**
+   * @param {HTMLElement | undefined} slot
+   * @param {string} message
+   */
+  #setError(slot, message) {
+    const error = slot?.querySelector('[data-upload-error]');
+    if (!error) return;
+
+    error.textContent = message;
+    error.toggleAttribute('hidden', !message);
+  }
+
+  /**
+   * @param {HTMLElement} slot
+   */
+  #revokePreview(slot) {
+    const url = this.#objectUrls.get(slot);
+    if (!url) return;
+
+    URL.revokeObjectURL(url);
+    this.#objectUrls.delete(slot);
+  }
+
+  /**
+   * @param {Element} element
+   * @returns {HTMLElement | undefined}
+   */
+  #getSlot(element) {
+    return this.refs.slots.find((slot) => slot.contains(element));
+  }
+
+  /**
+   * @param {HTMLElement} slot
+   * @returns {HTMLInputElement | null}
+   */
+  #getInput(slot) {
+    return slot.querySelector('input[type="file"]');
+  }
+
+  /**
+   * @param {HTMLElement} slot
+   * @returns {HTMLInputElement | null}
+   */
+  #getUrlField(slot) {
+    return slot.querySelector('input[data-upload-url]');
+  }
+
+  /**
+   * The product form the slots are submitted with.
+   * @returns {HTMLFormElement | null}
+   */
+  get #form() {
+    const formId = this.refs.slots[0]?.querySelector('input[type="file"]')?.getAttribute('form');
+    const form = formId ? document.getElementById(formId) : null;
+
+    return form instanceof HTMLFormElement ? form : null;
+  }
+
+  /**
+   * Whether drafts are saved in this browser.
+   * @returns {boolean}
+   */
+  get #draftsEnabled() {
+    return this.dataset.saveDrafts === 'true' && CustomizationDrafts.supported;
+  }
+
+  /**
+   * The number of days a draft is kept after it was last saved.
+   * @returns {number}
+   */
+  get #draftExpiry() {
+    return Number(this.dataset.draftExpiry) || 14;
+  }
+
+  /**
+   * The number of pets, which is also the number of active slots.
+   * @returns {number}
+   */
+  get petCount() {
+    return Number(this.dataset.petCount) || this.refs.slots.length;
+  }
+
+  /**
+   * The maximum file size, in megabytes.
+   * @returns {number}
+   */
+  get maxFileSize() {
+    return Number(this.dataset.maxFileSize) || 0;
+  }
+
+  /**
+   * The minimum resolution of an accepted image.
+   * @returns {{ width: number, height: number }}
+   */
+  get minimum() {
+    return {
+      width: Number(this.dataset.minWidth) || 0,
+      height: Number(this.dataset.minHeight) || 0,
+    };
+  }
+
+  /**
+   * The width / height ratio of the printed portrait.
+   * @returns {number}
+   */
+  get aspectRatio() {
+    return Number(this.dataset.aspectRatio) || 3 / 4;
+  }
+}
+
+if (!customElements.get('product-image-upload-component')) {
+  customElements.define('product-image-upload-component', ProductImageUploadComponent);
+}
+
+/**
+ * @typedef {object} ProductImageCropDialogRefs
+ * @property {HTMLCanvasElement} canvas - The canvas the image is drawn on.
+ * @property {HTMLInputElement} zoomInput - The zoom range input.
+ * @property {HTMLElement} cropError - The error shown when the crop is too small.
+ */
+
+/**
+ * A dialog that lets the customer pan, zoom and rotate an image inside a frame of a fixed aspect ratio.
+ *
+ * @extends DialogComponent<ProductImageCropDialogRefs>
+ */
+export class ProductImageCropDialog extends DialogComponent {
+  requiredRefs = ['dialog', 'canvas', 'zoomInput', 'cropError'];
+
+  /** @type {HTMLImageElement | null} */
+  #image = null;
+
+  #aspectRatio = 3 / 4;
+
+  #minimum = { width: 0, height: 0 };
+
+  #rotation = 0;
+
+  #zoom = 1;
+
+  #offset = { x: 0, y: 0 };
+
+  /** @type {{ x: number, y: number, pointerId: number } | null} */
+  #drag = null;
+
+  /** @type {((blob: Blob | null) => void) | null} */
+  #resolve = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { canvas } = this.refs;
+
+    canvas.addEventListener('pointerdown', this.#handlePointerDown);
+    canvas.addEventListener('pointermove', this.#handlePointerMove);
+    canvas.addEventListener('pointerup', this.#handlePointerUp);
+    canvas.addEventListener('pointercancel', this.#handlePointerUp);
+    this.addEventListener(DialogCloseEvent.eventName, this.#handleClose);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    const { canvas } = this.refs;
+
+    canvas.removeEventListener('pointerdown', this.#handlePointerDown);
+    canvas.removeEventListener('pointermove', this.#handlePointerMove);
+    canvas.removeEventListener('pointerup', this.#handlePointerUp);
+    canvas.removeEventListener('pointercancel', this.#handlePointerUp);
+    this.removeEventListener(DialogCloseEvent.eventName, this.#handleClose);
+    this.#settle(null);
+  }
+
+  /**
+   * Opens the dialog for an image and resolves with the cropped JPEG once the customer confirms.
+   * @param {HTMLImageElement} image - The decoded image.
+   * @param {number} aspectRatio - The width / height ratio of the crop frame.
+   * @param {{ width: number, height: number }} minimum - The minimum size of the cropped area, in image pixels.
+   * @param {CropState} [state] - The crop to start from, defaults to the whole frame.
+   * @returns {Promise<Blob | null>} The cropped image, or null if the crop was cancelled.
+   */
+  crop(image, aspectRatio, minimum, state) {
+    this.#settle(null);
+
+    this.#image = image;
+    this.#aspectRatio = aspectRatio;
+    this.#minimum = minimum;
+    this.#rotation = state?.rotation ?? 0;
+    this.#zoom = state?.zoom ?? 1;
+    this.#offset = { x: state?.x ?? 0, y: state?.y ?? 0 };
+    this.refs.zoomInput.value = `${this.#zoom}`;
+    this.#setError(false);
+
+    const { canvas } = this.refs;
+    const { width, height } = this.#viewSize;
+    const ratio = window.devicePixelRatio || 1;
+
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.setProperty('--crop-aspect-ratio', `${aspectRatio}`);
+
+    this.#render();
+    this.showDialog();
+
+    return new Promise((resolve) => {
+      this.#resolve = resolve;
+    });
+  }
+
+  /**
+   * The current crop, which can be passed back to `crop` to start from it.
+   * @returns {CropState}
+   */
+  get state() {
+    return { rotation: this.#rotation, zoom: this.#zoom, x: this.#offset.x, y: this.#offset.y };
+  }
+
+  /**
+   * Rotates the image by 90 degrees clockwise.
+   */
+  rotate() {
+    this.#rotation = (this.#rotation + 90) % 360;
+    this.#render();
+  }
+
+  /**
+   * Handles the zoom range input.
+   * @param {Event} event - The input event.
+   */
+  handleZoom(event) {
+    if (!(event.target instanceof HTMLInputElement)) return;
+
+    this.#zoom = Number(event.target.value) || 1;
+    this.#render();
+  }
+
+  /**
+   * Renders the cropped area at full resolution and closes the dialog.
+   */
+  async apply() {
+    const image = this.#image;
+    if (!image) return;
+
+    const { width, height } = this.#viewSize;
+    const scale = this.#scale;
+    const cropWidth = width / scale;
+    const cropHeight = height / scale;
+
+    if (cropWidth < this.#minimum.width || cropHeight < this.#minimum.height) {
+      this.#setError(true);
+      return;
+    }
+
+    const factor = Math.min(1, MAX_OUTPUT_EDGE / Math.max(cropWidth, cropHeight));
+    const outputWidth = Math.round(cropWidth * factor);
+    const outputHeight = Math.round(cropHeight * factor);
+
+    const blob = await renderToJpeg(image, outputWidth, outputHeight, (context) => {
+      context.scale(outputWidth / width, outputHeight / height);
+      this.#draw(context);
+    });
+
+    this.#settle(blob);
+    this.closeDialog();
+  }
+
+  /**
+   * Closes the dialog without cropping.
+   */
+  cancel() {
+    this.#settle(null);
+    this.closeDialog();
+  }
+
+  #handleClose = () => {
+    this.#settle(null);
+    this.#image = null;
+  };
+
+  /**
+   * @param {Blob | null} blob
+   */
+  #settle(blob) {
+    const resolve = this.#resolve;
+    this.#resolve = null;
+    resolve?.(blob);
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  #setError(visible) {
+    this.refs.cropError.toggleAttribute('hidden', !visible);
+  }
+
+  #render() {
+    const { canvas } = this.refs;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+
+    this.#clampOffset();
+
+    const ratio = canvas.width / this.#viewSize.width;
+
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this.#draw(context);
+  }
+
+  /**
+   * Draws the image with the current transform into a context sized to the view.
+   * @param {CanvasRenderingContext2D} context
+   */
+  #draw(context) {
+    const image = this.#image;
+    if (!image) return;
+
+    const { width, height } = this.#viewSize;
+    const scale = this.#scale;
+
+    context.save();
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+    context.translate(width / 2 + this.#offset.x, height / 2 + this.#offset.y);
+    context.rotate((this.#rotation * Math.PI) / 180);
+    context.scale(scale, scale);
+    context.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2);
+    context.restore();
+  }
+
+  /**
+   * Keeps the image covering the whole frame.
+   */
+  #clampOffset() {
+    const { width, height } = this.#viewSize;
+    const { width: rotatedWidth, height: rotatedHeight } = this.#rotatedSize;
+    const scale = this.#scale;
+    const maxX = Math.max(0, (rotatedWidth * scale - width) / 2);
+    const maxY = Math.max(0, (rotatedHeight * scale - height) / 2);
+
+    this.#offset = {
+      x: clamp(this.#offset.x, -maxX, maxX),
+      y: clamp(this.#offset.y, -maxY, maxY),
+    };
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerDown = (event) => {
+    this.#drag = { x: event.clientX, y: event.clientY, pointerId: event.pointerId };
+    this.refs.canvas.setPointerCapture(event.pointerId);
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerMove = (event) => {
+    const drag = this.#drag;
+    if (!drag || drag.pointerId !== event.pointerId) return;
+
+    // Pointer deltas are in rendered pixels, the offset is in view pixels
+    const ratio = this.#viewSize.width / (this.refs.canvas.clientWidth || this.#viewSize.width);
+
+    this.#offset = {
+      x: this.#offset.x + (event.clientX - drag.x) * ratio,
+      y: this.#offset.y + (event.clientY - drag.y) * ratio,
+    };
+    this.#drag = { ...drag, x: event.clientX, y: event.clientY };
+    this.#render();
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerUp = (event) => {
+    if (this.#drag?.pointerId !== event.pointerId) return;
+
+    this.#drag = null;
+    this.refs.canvas.releasePointerCapture(event.pointerId);
+  };
+
+  /**
+   * The size of the crop frame, in view pixels.
+   * @returns {{ width: number, height: number }}
+   */
+  get #viewSize() {
+    return { width: CROP_VIEW_WIDTH, height: Math.round(CROP_VIEW_WIDTH / this.#aspectRatio) };
+  }
+
+  /**
+   * The size of the image once rotated, in image pixels.
+   * @returns {{ width: number, height: number }}
+   */
+  get #rotatedSize() {
+    const { naturalWidth = 0, naturalHeight = 0 } = this.#image ?? {};
+    const sideways = this.#rotation % 180 !== 0;
+
+    return sideways ? { width: naturalHeight, height: naturalWidth } : { width: naturalWidth, height: naturalHeight };
+  }
+
+  /**
+   * The number of view pixels per image pixel.
+   * @returns {number}
+   */
+  get #scale() {
+    const { width, height } = this.#viewSize;
+    const { width: rotatedWidth, height: rotatedHeight } = this.#rotatedSize;
+
+    if (!rotatedWidth || !rotatedHeight) return 1;
+
+    return Math.max(width / rotatedWidth, height / rotatedHeight) * this.#zoom;
+  }
+}
+
+if (!customElements.get('product-image-crop-dialog')) {
+  customElements.define('product-image-crop-dialog', ProductImageCropDialog);
+}
+
+/**
+ * Checks a file against the accepted MIME types. Some browsers report an empty type for HEIC files,
+ * so the extension is checked as well.
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isAcceptedType(file) {
+  return ACCEPTED_TYPES.includes(file.type) || isHeic(file);
+}
+
+/**
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isHeic(file) {
+  return /^image\/hei[cf]$/.test(file.type) || /\.hei[cf]$/i.test(file.name);
+}
+
+/**
+ * Decodes an image file. HEIC files that the browser can't decode are converted to JPEG with the HEIC decoder first.
+ * Only Safari decodes them itself.
+ * @param {File} file
+ * @param {string} [heicDecoderUrl] - The URL of the HEIC decoder, a theme asset.
+ * @returns {Promise<{ image: HTMLImageElement, url: string } | null>} The decoded image and its object URL.
+ */
+async function decodeImage(file, heicDecoderUrl) {
+  const decoded = await decodeNatively(file);
+  if (decoded || !isHeic(file) || !heicDecoderUrl) return decoded;
+
+  const jpeg = await convertHeic(file, heicDecoderUrl);
+  return jpeg ? decodeNatively(jpeg) : null;
+}
+
+/** @type {Promise<HeicDecoder> | null} */
+let heicDecoder = null;
+
+/**
+ * Loads the HEIC decoder once, the first time a browser can't decode a HEIC file itself.
+ * @param {string} url
+ * @returns {Promise<HeicDecoder>}
+ */
+function loadHeicDecoder(url) {
+  heicDecoder ??= new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+
+    script.src = url;
+    script.addEventListener('load', () => {
+      if (window.heic2any) {
+        resolve(window.heic2any);
+      } else {
+        reject(new Error('The HEIC decoder is missing'));
+      }
+    });
+    script.addEventListener('error', () => {
+      // Loading it again may work, if it failed because of the network
+      script.remove();
+      heicDecoder = null;
+      reject(new Error('Could not load the HEIC decoder'));
+    });
+
+    document.head.append(script);
+  });
+
+  return heicDecoder;
+}
+
+/**
+ * Converts a HEIC file to JPEG, keeping the first image of files holding several.
+ * @param {File} file
+ * @param {string} decoderUrl
+ * @returns {Promise<Blob | null>} The JPEG, null when the file couldn't be converted.
+ */
+async function convertHeic(file, decoderUrl) {
+  try {
+    const decoder = await loadHeicDecoder(decoderUrl);
+    const result = await decoder({ blob: file, toType: 'image/jpeg', quality: JPEG_QUALITY });
+
+    return (Array.isArray(result) ? result[0] : result) ?? null;
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+}
+
+/**
+ * Decodes an image with the browser's own decoders.
+ * @param {Blob} file
+ * @returns {Promise<{ image: HTMLImageElement, url: string } | null>} The decoded image and its object URL.
+ */
+async function decodeNatively(file) {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.src = url;
+
+  try {
+    await image.decode();
+    return { image, url };
+  } catch {
+    URL.revokeObjectURL(url);
+    return null;
+  }
+}
+
+/**
+ * Draws an image onto a canvas and encodes it as JPEG.
+ * @param {HTMLImageElement} image - The image to draw.
+ * @param {number} width - The output width.
+ * @param {number} height - The output height.
+ * @param {(context: CanvasRenderingContext2D) => void} [draw] - Custom drawing, defaults to a scaled copy.
+ * @returns {Promise<Blob | null>}
+ */
+function renderToJpeg(image, width, height, draw) {
+  const factor = Math.min(1, MAX_OUTPUT_EDGE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+
+  canvas.width = draw ? width : Math.round(width * factor);
+  canvas.height = draw ? height : Math.round(height * factor);
+
+  const context = canvas.getContext('2d');
+  if (!context) return Promise.resolve(null);
+
+  if (draw) {
+    draw(context);
+  } else {
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  }
+
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY));
+}
+
+/**
+ * @param {Blob} blob
+ * @param {string} name - The original file name.
+ * @returns {File}
+ */
+function toJpegFile(blob, name) {
+  const basename = name.replace(/\.[^.]+$/, '') || 'image';
+  return new File([blob], `${basename}.jpg`, { type: 'image/jpeg' });
+}
+
+/**
+ * Changes the quantity of one cart line.
+ * @param {string} key - The key of the line.
+ * @param {number} quantity - The new quantity, 0 to remove the line.
+ * @param {{ sections?: string, sections_url?: string }} [options] - The sections to render with the new cart.
+ * @returns {Promise<any>} The cart, with the rendered sections.
+ */
+async function changeCartLine(key, quantity, options = {}) {
+  const body = JSON.stringify({ id: key, quantity, ...options });
+  const response = await fetch(Theme.routes.cart_change_url, fetchConfig('json', { body }));
+  const cart = await response.json();
+
+  if (cart.status) throw new Error(cart.description || cart.message);
+
+  return cart;
+}
+
+/**
+ * Gets the lines of the cart.
+ * @returns {Promise<CartLine[]>}
+ */
+async function getCartLines() {
+  const response = await fetch(`${Theme.routes.cart_url}.js`);
+  if (!response.ok) throw new Error('Could not load the cart');
+
+  /** @type {{ items: CartLine[] }} */
+  const cart = await response.json();
+
+  return cart.items;
+}
+
+/**
+ * Gets a line of the cart.
+ * @param {string} key - The key of the line.
+ * @returns {Promise<CartLine | undefined>} The line, undefined if it's no longer in the cart.
+ */
+async function getCartLine(key) {
+  const lines = await getCartLines();
+  return lines.find((item) => item.key === key);
+}
+
+/**
+ * @param {Element} element
+ * @returns {element is HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement}
+ */
+function isPropertyField(element) {
+  return (
+    element instanceof HTMLInputElement ||
+    element instanceof HTMLTextAreaElement ||
+    element instanceof HTMLSelectElement
+  );
+}
+
+/**
+ * @param {Element} element
+ * @returns {element is HTMLInputElement} Whether the element is a checkbox or a radio button.
+ */
+function isCheckable(element) {
+  return element instanceof HTMLInputElement && (element.type === 'checkbox' || element.type === 'radio');
+}
@@ -0,0 +1,461 @@
+import { Component } from '@theme/component';
+import { MediaGallery } from '@theme/media-gallery';
+import { debounce } from '@theme/utilities';
+import { ThemeEvents, PetCountUpdateEvent, PetPhotoUpdateEvent, VariantUpdateEvent } from '@theme/events';
+
+/**
+ * The width, in pixels, of the rendered mockup. The height follows the template's aspect ratio.
+ */
+const CANVAS_WIDTH = 1200;
+
+/**
+ * The gap, in pixels, between the photos when several pets share the photo area.
+ */
+const PHOTO_GAP = 16;
+
+/**
+ * The slide id of the preview in the media gallery slideshow.
+ */
+const PREVIEW_SLIDE_ID = 'mockup-preview';
+
+/**
+ * @typedef {object} VariantStyle
+ * @property {string} template - The URL of the mockup template for the variant's style, if any.
+ * @property {string} background - The background color of the variant, if any.
+ * @property {string} backgroundImage - The URL of the background image of the variant, if any.
+ */
+
+/**
+ * @typedef {object} ProductMockupPreviewRefs
+ * @property {HTMLTemplateElement} slideTemplate - The markup of the slideshow slide.
+ * @property {HTMLTemplateElement} [gridItemTemplate] - The markup of the grid item, for the grid presentation.
+ * @property {HTMLScriptElement} [variantStyles] - The template and background of each variant, keyed by variant ID.
+ */
+
+/**
+ * A custom element that draws the customer's pet photos and names onto a mockup of the portrait.
+ *
+ * The mockup is added to the product media gallery as its first slide once a photo is uploaded, and redrawn
+ * when photos, pet names or the selected variant change. The media gallery is replaced on every variant
+ * change, so the slide is added again after each one.
+ *
+ * @extends Component<ProductMockupPreviewRefs>
+ */
+export class ProductMockupPreviewComponent extends Component {
+  requiredRefs = ['slideTemplate'];
+
+  /** @type {({ image: HTMLImageElement, url: string } | undefined)[]} */
+  #photos = [];
+
+  /** @type {Map<string, Promise<HTMLImageElement | null>>} */
+  #images = new Map();
+
+  /** @type {Record<string, VariantStyle> | undefined} */
+  #variantStyles;
+
+  /** @type {HTMLCanvasElement} */
+  #canvas = document.createElement('canvas');
+
+  /** @type {HTMLElement | undefined} */
+  #slide;
+
+  /** @type {HTMLElement | undefined} */
+  #gridItem;
+
+  /** @type {HTMLCanvasElement | undefined} */
+  #thumbnail;
+
+  #petCount = 1;
+
+  #renderId = 0;
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog');
+
+    target?.addEventListener(ThemeEvents.petPhotoUpdate, this.#onPetPhotoUpdate, { signal });
+    target?.addEventListener(ThemeEvents.petCountUpdate, this.#onPetCountUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    target?.addEventListener('input', this.#onInput, { signal });
+
+    const uploader = target?.querySelector('product-image-upload-component');
+    if (uploader instanceof HTMLElement && uploader.dataset.petCount) {
+      this.#petCount = Number(uploader.dataset.petCount);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#removeSlide();
+
+    for (const photo of this.#photos) {
+      if (photo) URL.revokeObjectURL(photo.url);
+    }
+    this.#photos = [];
+  }
+
+  /**
+   * @param {PetPhotoUpdateEvent} event
+   */
+  #onPetPhotoUpdate = async (event) => {
+    const { index, file, productId } = event.detail;
+    if (productId !== this.dataset.productId) return;
+
+    const previous = this.#photos[index];
+    if (previous) URL.revokeObjectURL(previous.url);
+    this.#photos[index] = undefined;
+
+    if (file) {
+      const url = URL.createObjectURL(file);
+      const image = await loadImage(url);
+
+      if (image) {
+        this.#photos[index] = { image, url };
+      } else {
+        URL.revokeObjectURL(url);
+      }
+    }
+
+    this.#render({ reveal: Boolean(file) });
+  };
+
+  /**
+   * @param {PetCountUpdateEvent} event
+   */
+  #onPetCountUpdate = (event) => {
+    if (event.detail.productId !== this.dataset.productId) return;
+
+    this.#petCount = event.detail.count;
+    this.#render();
+  };
+
+  /**
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId || !event.detail.resource) return;
+
+    this.dataset.variantId = event.detail.resource.id;
+
+    // The media gallery replaces itself during this event, wait for the new one to be connected
+    queueMicrotask(() => this.#render({ reveal: true }));
+  };
+
+  /**
+   * Redraws the pet names as they are typed.
+   * @param {Event} event
+   */
+  #onInput = (event) => {
+    if (!(event.target instanceof Element) || !event.target.closest('product-custom-property-component')) return;
+
+    this.#debouncedRender();
+  };
+
+  #debouncedRender = debounce(() => this.#render(), 150);
+
+  /**
+   * Draws the mockup and shows it in the media gallery, or removes it when there are no photos.
+   * @param {object} [options]
+   * @param {boolean} [options.reveal] - Whether to scroll the gallery to the preview.
+   */
+  async #render({ reveal = false } = {}) {
+    const renderId = ++this.#renderId;
+    const photos = this.#photos.slice(0, this.#petCount).flatMap((photo) => (photo ? [photo.image] : []));
+
+    if (!photos.length) {
+      this.#removeSlide();
+      return;
+    }
+
+    const style = this.#getVariantStyle();
+    const [template, backgroundImage] = await Promise.all([
+      this.#loadImage(style?.template || this.dataset.template),
+      this.#loadImage(style?.backgroundImage),
+    ]);
+
+    // A newer render started while the images were loading
+    if (renderId !== this.#renderId) return;
+
+    this.#draw(photos, template, style?.background || this.dataset.background, backgroundImage);
+    this.#showSlide(reveal);
+  }
+
+  /**
+   * Composites the mockup, from back to front: background, photos, template, then names.
+   * @param {HTMLImageElement[]} photos - The pet photos.
+   * @param {HTMLImageElement | null} template - The mockup template.
+   * @param {string | undefined} background - The background color.
+   * @param {HTMLImageElement | null} backgroundImage - The background image.
+   */
+  #draw(photos, template, background, backgroundImage) {
+    const canvas = this.#canvas;
+    const width = CANVAS_WIDTH;
+    const height = Math.round(
+      template ? (width * template.naturalHeight) / template.naturalWidth : width / this.#aspectRatio
+    );
+
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    if (!context) return;
+
+    context.fillStyle = background || '#ffffff';
+    context.fillRect(0, 0, width, height);
+    if (backgroundImage) drawCover(context, backgroundImage, 0, 0, width, height);
+
+    const area = this.#photoArea(width, height);
+    const columnWidth = (area.width - PHOTO_GAP * (photos.length - 1)) / photos.length;
+
+    photos.forEach((photo, index) => {
+      const x = area.x + index * (columnWidth + PHOTO_GAP);
+
+      context.save();
+      context.beginPath();
+
+      if (this.dataset.photoShape === 'oval') {
+        context.ellipse(
+          x + columnWidth / 2,
+          area.y + area.height / 2,
+          columnWidth / 2,
+          area.height / 2,
+          0,
+          0,
+          Math.PI * 2
+        );
+      } else {
+        context.rect(x, area.y, columnWidth, area.height);
+      }
+
+      context.clip();
+      drawCover(context, photo, x, area.y, columnWidth, area.height);
+      context.restore();
+    });
+
+    if (template) context.drawImage(template, 0, 0, width, height);
+
+    const names = this.dataset.showName === 'true' ? this.#getNames().join(' & ') : '';
+    if (names) this.#drawText(context, names, width, height);
+  }
+
+  /**
+   * Draws the pet names, shrinking the text until it fits the width of the mockup.
+   * @param {CanvasRenderingContext2D} context
+   * @param {string} text
+   * @param {number} width
+   * @param {number} height
+   */
+  #drawText(context, text, width, height) {
+    const family = getComputedStyle(this).getPropertyValue('--font-heading--family') || 'serif';
+    const maxWidth = width * 0.9;
+    let size = (width * (Number(this.dataset.nameSize) || 7)) / 100;
+
+    context.font = `${size}px ${family}`;
+    while (size > 12 && context.measureText(text).width > maxWidth) {
+      size -= 2;
+      context.font = `${size}px ${family}`;
+    }
+
+    context.fillStyle = this.dataset.nameColor || '#000000';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, width / 2, (height * (Number(this.dataset.nameY) || 0)) / 100, maxWidth);
+  }
+
+  /**
+   * Adds the preview to the media gallery if needed, then copies the mockup into it.
+   * @param {boolean} reveal - Whether to scroll the gallery to the preview.
+   */
+  #showSlide(reveal) {
+    const gallery = this.closest('.shopify-section, dialog')?.querySelector('media-gallery');
+    if (!(gallery instanceof MediaGallery)) return;
+
+    const { slideshow } = gallery;
+    let added = false;
+
+    if (slideshow && !this.#slide?.isConnected) {
+      const slide = this.refs.slideTemplate.content.firstElementChild?.cloneNode(true);
+
+      if (slide instanceof HTMLElement) {
+        this.#slide = slide;
+        this.#thumbnail = document.createElement('canvas');
+        this.#thumbnail.className = 'product-mockup-preview__canvas';
+        slideshow.addSlide(slide, { index: 0, thumbnail: this.#thumbnail });
+        added = true;
+      }
+    }
+
+    const grid = gallery.querySelector('.media-gallery__grid');
+    if (grid && !this.#gridItem?.isConnected) {
+      const item = this.refs.gridItemTemplate?.content.firstElementChild?.cloneNode(true);
+
+      if (item instanceof HTMLElement) {
+        this.#gridItem = item;
+        grid.prepend(item);
+      }
+    }
+
+    const ratio = `${this.#canvas.width / this.#canvas.height}`;
+    for (const container of [this.#slide, this.#gridItem]) {
+      container?.style.setProperty('--media-preview-ratio', ratio);
+    }
+
+    for (const canvas of this.#displayCanvases) {
+      canvas.width = this.#canvas.width;
+      canvas.height = this.#canvas.height;
+      canvas.getContext('2d')?.drawImage(this.#canvas, 0, 0);
+    }
+
+    if ((reveal || added) && slideshow) slideshow.select({ id: PREVIEW_SLIDE_ID }, undefined, { animate: !added });
+  }
+
+  #removeSlide() {
+    const slideshow = this.#slide?.closest('slideshow-component');
+
+    if (this.#slide && slideshow && 'removeSlide' in slideshow) {
+      /** @type {import('./slideshow').Slideshow} */ (slideshow).removeSlide(this.#slide);
+    }
+
+    this.#slide?.remove();
+    this.#gridItem?.remove();
+    this.#slide = undefined;
+    this.#gridItem = undefined;
+    this.#thumbnail = undefined;
+  }
+
+  /**
+   * Gets the pet names from the visible custom property blocks assigned to a pet, in pet order.
+   * @returns {string[]}
+   */
+  #getNames() {
+    const target = this.closest('.shopify-section, dialog');
+    if (!target) return [];
+
+    /** @type {{ petNumber: number, value: string }[]} */
+    const names = [];
+
+    for (const property of target.querySelectorAll('product-custom-property-component:not([hidden])')) {
+      const petNumber = Number(property.querySelector('[data-pet-number]')?.getAttribute('data-pet-number')) || 0;
+      const input = property.querySelector('input[type="text"], textarea');
+
+      if (!petNumber || !(input instanceof HTMLInputElement || input instanceof HTMLTextAreaElement)) continue;
+      if (input.value.trim()) names.push({ petNumber, value: input.value.trim() });
+    }
+
+    return names.sort((a, b) => a.petNumber - b.petNumber).map(({ value }) => value);
+  }
+
+  /**
+   * @returns {VariantStyle | undefined}
+   */
+  #getVariantStyle() {
+    if (!this.#variantStyles) {
+      try {
+        this.#variantStyles = JSON.parse(this.refs.variantStyles?.textContent || '{}');
+      } catch {
+        this.#variantStyles = {};
+      }
+    }
+
+    return this.#variantStyles?.[this.dataset.variantId ?? ''];
+  }
+
+  /**
+   * Loads an image once, later renders reuse it.
+   * @param {string | undefined} url
+   * @returns {Promise<HTMLImageElement | null>}
+   */
+  #loadImage(url) {
+    if (!url) return Promise.resolve(null);
+
+    let image = this.#images.get(url);
+    if (!image) {
+      image = loadImage(url, { crossOrigin: true });
+      this.#images.set(url, image);
+    }
+
+    return image;
+  }
+
+  /**
+   * The photo area of the block settings, in pixels.
+   * @param {number} width - The width of the mockup.
+   * @param {number} height - The height of the mockup.
+   * @returns {{ x: number, y: number, width: number, height: number }}
+   */
+  #photoArea(width, height) {
+    const { photoX, photoY, photoWidth, photoHeight } = this.dataset;
+
+    return {
+      x: (width * (Number(photoX) || 0)) / 100,
+      y: (height * (Number(photoY) || 0)) / 100,
+      width: (width * (Number(photoWidth) || 100)) / 100,
+      height: (height * (Number(photoHeight) || 100)) / 100,
+    };
+  }
+
+  /**
+   * The width / height ratio of the mockup when there is no template.
+   * @returns {number}
+   */
+  get #aspectRatio() {
+    return Number(this.dataset.aspectRatio) || 0.75;
+  }
+
+  /**
+   * The canvases showing the mockup: the slide, the grid item and the thumbnail.
+   * @returns {HTMLCanvasElement[]}
+   */
+  get #displayCanvases() {
+    return [this.#slide?.querySelector('canvas'), this.#gridItem?.querySelector('canvas'), this.#thumbnail].filter(
+      (canvas) => canvas instanceof HTMLCanvasElement
+    );
+  }
+}
+
+/**
+ * Loads and decodes an image.
+ * @param {string} url - The image URL.
+ * @param {object} [options]
+ * @param {boolean} [options.crossOrigin] - Whether to request the image with CORS, so the canvas isn't tainted.
+ * @returns {Promise<HTMLImageElement | null>} The image, or null if it couldn't be loaded.
+ */
+async function loadImage(url, { crossOrigin = false } = {}) {
+  const image = new Image();
+  if (crossOrigin) image.crossOrigin = 'anonymous';
+  image.src = url;
+
+  try {
+    await image.decode();
+    return image;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Draws an image so that it covers a box, cropping the overflow evenly on both sides.
+ * @param {CanvasRenderingContext2D} context
+ * @param {HTMLImageElement} image
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ */
+function drawCover(context, image, x, y, width, height) {
+  const scale = Math.max(width / image.naturalWidth, height / image.naturalHeight);
+  const drawWidth = image.naturalWidth * scale;
+  const drawHeight = image.naturalHeight * scale;
+
+  context.drawImage(image, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+if (!customElements.get('product-mockup-preview-component')) {
+  customElements.define('product-mockup-preview-component', ProductMockupPreviewComponent);
+}
@@ -1,4 +1,5 @@
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { formatCents } from '@theme/utilities';
 
 /**
  * A custom element that displays a product price.
@@ -6,18 +7,24 @@ import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
  * It handles price updates from two different sources:
  * 1. Variant picker (in quick add modal or product page)
  * 2. Swatches variant picker (in product cards)
+ *
+ * On product pages with paid add-ons, it also shows the total of the variant and the selected add-ons.
  */
 class ProductPrice extends HTMLElement {
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.addonUpdate, this.updateAddonTotal);
+
+    this.updateAddonTotal();
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.addonUpdate, this.updateAddonTotal);
   }
 
   /**
@@ -39,6 +46,36 @@ class ProductPrice extends HTMLElement {
     if (currentPrice.innerHTML !== newPrice.innerHTML) {
       currentPrice.replaceWith(newPrice);
     }
+
+    this.updateAddonTotal();
+  };
+
+  /**
+   * Updates the total of the selected variant and the selected add-ons, hidden when no add-on is selected.
+   */
+  updateAddonTotal = () => {
+    const addonTotal = this.querySelector('[data-addon-total]');
+    const moneyFormat = this.querySelector('template[data-money-format]');
+    const price = this.querySelector('[ref="priceContainer"]');
+
+    if (!(addonTotal instanceof HTMLElement) || !(price instanceof HTMLElement)) return;
+
+    const addons = [...(this.closest('.shopify-section, dialog')?.querySelectorAll('product-addon-component') ?? [])]
+      .filter((addon) => addon instanceof HTMLElement && addon.dataset.productId === this.dataset.productId)
+      .map((addon) => /** @type {HTMLElement} */ (addon).dataset);
+    const addonsPrice = addons.reduce((sum, { price, quantity }) => sum + Number(price) * Number(quantity || 0), 0);
+
+    addonTotal.hidden = addonsPrice === 0;
+    if (addonTotal.hidden) return;
+
+    const template = moneyFormat instanceof HTMLTemplateElement ? moneyFormat.content.textContent || '' : '';
+    const total = formatCents(
+      Number(price.dataset.price) + addonsPrice,
+      template || undefined,
+      addonTotal.dataset.currency
+    );
+
+    addonTotal.textContent = (addonTotal.dataset.template ?? '').replace('[price]', total);
   };
 }
 
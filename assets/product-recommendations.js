@@ -103,7 +103,8 @@ class ProductRecommendations extends HTMLElement {
   }
 
   /**
-   * Fetches the recommendations and cached the result for future use
+   * Fetches the recommendations and cached the result for future use, unless caching is turned off with
+   * `data-cache="false"`, for recommendations that depend on more than the product
    * @param {string} productId
    * @param {string | undefined} sectionId
    * @param {string | undefined} intent
@@ -112,7 +113,8 @@ class ProductRecommendations extends HTMLElement {
   async #fetchCachedRecommendations(productId, sectionId, intent) {
     const url = `${this.dataset.url}&product_id=${productId}&section_id=${sectionId}&intent=${intent}`;
 
-    const cachedResponse = this.#cachedRecommendations[url];
+    const useCache = this.dataset.cache !== 'false';
+    const cachedResponse = useCache ? this.#cachedRecommendations[url] : undefined;
     if (cachedResponse) {
       return { success: true, data: cachedResponse };
     }
@@ -127,7 +129,7 @@ class ProductRecommendations extends HTMLElement {
       }
 
       const text = await response.text();
-      this.#cachedRecommendations[url] = text;
+      if (useCache) this.#cachedRecommendations[url] = text;
       return { success: true, data: text };
     } finally {
       this.#activeFetch = null;
@@ -0,0 +1,238 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { ThemeEvents, ProductFormSubmitEvent } from '@theme/events';
+import { getPropertyFields, getSubmittedField, renderCount } from '@theme/personalization-fields';
+
+/**
+ * The namespace of SVG elements.
+ */
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * @typedef {object} ProductTextPreviewRefs
+ * @property {SVGSVGElement} svg - The preview.
+ * @property {SVGTextElement} text - The text of the preview.
+ * @property {HTMLElement} lineCount - The message shown when the text has too many lines, with a `data-template`.
+ * @property {HTMLElement} widthError - The message shown when a word is wider than the printable area.
+ */
+
+/**
+ * A custom element that previews the text of a custom property, like a pet name, as it will be engraved or printed.
+ *
+ * The text is drawn in the font and color the customer picked in the font and color fields, and wrapped into the
+ * printable area of the production template. Text that needs more lines than the template allows, or with a word
+ * wider than the area, is flagged, and can't be added to the cart.
+ *
+ * Sizes are in millimeters, as on the production template.
+ *
+ * @extends Component<ProductTextPreviewRefs>
+ */
+export class ProductTextPreviewComponent extends Component {
+  requiredRefs = ['svg', 'text', 'lineCount', 'widthError'];
+
+  /** @type {CanvasRenderingContext2D | null} */
+  #context = document.createElement('canvas').getContext('2d');
+
+  #overflows = false;
+
+  #renderId = 0;
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog');
+
+    // Fields are outside the form element and linked with a `form` attribute, so listen on the section
+    target?.addEventListener('input', this.#onFieldChange, { signal });
+    target?.addEventListener('change', this.#onFieldChange, { signal });
+    target?.addEventListener(ThemeEvents.productFormSubmit, this.#onProductFormSubmit, { signal });
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#debouncedRender.cancel();
+  }
+
+  /**
+   * Whether the text doesn't fit the printable area.
+   * @returns {boolean}
+   */
+  get overflows() {
+    return this.#overflows;
+  }
+
+  /**
+   * @param {Event} event
+   */
+  #onFieldChange = (event) => {
+    const name = event.target instanceof Element ? event.target.getAttribute('name') : null;
+    const { textKey, fontKey, colorKey } = this.dataset;
+    const keys = [textKey, fontKey, colorKey].filter(Boolean).map((key) => `properties[${key}]`);
+
+    if (name && keys.includes(name)) this.#debouncedRender();
+  };
+
+  /**
+   * Stops the cart add when the text doesn't fit.
+   * @param {ProductFormSubmitEvent} event
+   */
+  #onProductFormSubmit = (event) => {
+    if (event.detail.productId !== this.dataset.productId || this.dataset.blockOverflow !== 'true') return;
+    if (!this.#overflows) return;
+
+    const { lineCount, widthError } = this.refs;
+    const message = lineCount.hidden ? widthError.textContent : lineCount.textContent;
+    const textField = getSubmittedField(getPropertyFields(this.#form, this.dataset.textKey ?? ''));
+
+    event.reportError(message?.trim() ?? '', textField ?? undefined);
+  };
+
+  #debouncedRender = debounce(() => this.#render(), 100);
+
+  /**
+   * Wraps the text into the printable area and draws it, once the font is loaded.
+   */
+  async #render() {
+    const renderId = ++this.#renderId;
+    const textField = getSubmittedField(getPropertyFields(this.#form, this.dataset.textKey ?? ''));
+
+    // The text field is hidden, e.g. the name of a second pet on a one pet variant
+    this.hidden = !textField;
+
+    const value = textField?.value.trim() ?? '';
+    const shownText = value || this.dataset.placeholder || '';
+    const fontFamily = this.#getChoiceStyle(this.dataset.fontKey) || this.dataset.defaultFont || 'serif';
+    const color = this.#getChoiceStyle(this.dataset.colorKey) || this.dataset.defaultColor || '#000000';
+    const fontSize = Number(this.dataset.fontSize) || 8;
+    const font = `${fontSize}px ${fontFamily}`;
+
+    try {
+      await document.fonts?.load(font, shownText);
+    } catch {
+      // Measure with the fallback font
+    }
+
+    if (renderId !== this.#renderId) return;
+
+    const width = Number(this.dataset.width) || 80;
+    const maxLines = Number(this.dataset.maxLines) || 1;
+    const { lines, widest } = this.#wrap(shownText, font, width);
+
+    this.#draw(lines, { fontFamily, fontSize, color });
+    this.toggleAttribute('data-empty', !value);
+
+    const tooManyLines = Boolean(value) && lines.length > maxLines;
+    const tooWide = Boolean(value) && widest > width;
+
+    this.#overflows = tooManyLines || tooWide;
+    this.toggleAttribute('data-overflow', this.#overflows);
+
+    const { lineCount, widthError } = this.refs;
+
+    renderCount(lineCount, lines.length, maxLines);
+    lineCount.hidden = !tooManyLines;
+    widthError.hidden = tooManyLines || !tooWide;
+  }
+
+  /**
+   * Breaks the text into lines that fit the width, at spaces and at the line breaks typed by the customer.
+   * A word wider than the width gets a line of its own.
+   * @param {string} value - The text.
+   * @param {string} font - The CSS font to measure the text with.
+   * @param {number} width - The width of the printable area.
+   * @returns {{ lines: string[], widest: number }} The lines, and the width of the widest one.
+   */
+  #wrap(value, font, width) {
+    const context = this.#context;
+    if (!context || !value) return { lines: value ? [value] : [], widest: 0 };
+
+    context.font = font;
+
+    /** @param {string} text */
+    const measure = (text) => context.measureText(text).width;
+
+    /** @type {string[]} */
+    const lines = [];
+
+    for (const paragraph of value.split(/\r\n|\r|\n/)) {
+      let line = '';
+
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+
+        if (line && measure(candidate) > width) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      }
+
+      lines.push(line);
+    }
+
+    return { lines, widest: Math.max(0, ...lines.map(measure)) };
+  }
+
+  /**
+   * Draws the lines centered in the printable area.
+   * @param {string[]} lines - The lines.
+   * @param {{ fontFamily: string, fontSize: number, color: string }} style - The style of the text.
+   */
+  #draw(lines, { fontFamily, fontSize, color }) {
+    const { text } = this.refs;
+    const width = Number(this.dataset.width) || 80;
+    const height = Number(this.dataset.height) || 30;
+    const lineHeight = (fontSize * (Number(this.dataset.lineHeight) || 120)) / 100;
+
+    text.setAttribute('font-family', fontFamily);
+    text.setAttribute('font-size', String(fontSize));
+    text.setAttribute('fill', color);
+
+    text.replaceChildren(
+      ...lines.map((line, index) => {
+        const tspan = document.createElementNS(SVG_NAMESPACE, 'tspan');
+
+        tspan.setAttribute('x', String(width / 2));
+        tspan.setAttribute('y', String(height / 2 + (index - (lines.length - 1) / 2) * lineHeight));
+        tspan.textContent = line;
+
+        return tspan;
+      })
+    );
+  }
+
+  /**
+   * Gets the style value of the choice picked in a font or color field, e.g. the font family of a font choice.
+   * @param {string | undefined} key - The property name of the field.
+   * @returns {string} The style value, empty when nothing is picked.
+   */
+  #getChoiceStyle(key) {
+    if (!key) return '';
+
+    const field = getSubmittedField(getPropertyFields(this.#form, key));
+    if (!field) return '';
+
+    // Color pickers and dropdowns hold the value itself
+    return field.dataset.choiceStyle || field.value;
+  }
+
+  /**
+   * @returns {HTMLFormElement | null}
+   */
+  get #form() {
+    const form = this.dataset.formId ? document.getElementById(this.dataset.formId) : null;
+    return form instanceof HTMLFormElement ? form : null;
+  }
+}
+
+if (!customElements.get('product-text-preview-component')) {
+  customElements.define('product-text-preview-component', ProductTextPreviewComponent);
+}
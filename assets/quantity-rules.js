@@ -0,0 +1,115 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, QuantitySelectorUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+
+/**
+ * How long the message explaining a changed quantity is shown, in milliseconds.
+ */
+const MESSAGE_DURATION = 6000;
+
+/**
+ * @typedef {object} QuantityRulesRefs
+ * @property {HTMLTableRowElement[]} [tiers] - The price breaks, with their `data-minimum-quantity`.
+ * @property {HTMLElement} message - Explains why the quantity was changed.
+ */
+
+/**
+ * A custom element that shows the quantity rule and the volume pricing of the selected variant, next to the quantity
+ * selector of a product form. The price break of the selected quantity is highlighted, and the customer is told when
+ * the quantity selector changes a quantity to meet the rule.
+ *
+ * @extends Component<QuantityRulesRefs>
+ */
+class QuantityRulesComponent extends Component {
+  requiredRefs = ['message'];
+
+  #abortController = new AbortController();
+
+  /** @type {number | undefined} */
+  #messageTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    this.closest('.shopify-section, dialog')?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, {
+      signal,
+    });
+    this.closest('form')?.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange, { signal });
+
+    this.#highlight(this.#getQuantity());
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    clearTimeout(this.#messageTimeout);
+  }
+
+  /**
+   * @param {QuantitySelectorUpdateEvent} event
+   */
+  #onQuantityChange = (event) => {
+    const { quantity, adjustment } = event.detail;
+
+    this.#highlight(quantity);
+    if (adjustment) this.#showMessage(adjustment);
+  };
+
+  /**
+   * Renders the rule and the volume pricing of the selected variant.
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const rules = event.detail.data.html.getElementById(this.id);
+    if (rules) morph(this, rules);
+
+    this.#highlight(this.#getQuantity());
+  };
+
+  /**
+   * Marks the price break the quantity gets.
+   * @param {number} quantity
+   */
+  #highlight(quantity) {
+    const { tiers = [] } = this.refs;
+    const reached = tiers.filter((tier) => Number(tier.dataset.minimumQuantity) <= quantity);
+    const active = reached[reached.length - 1] ?? tiers[0];
+
+    for (const tier of tiers) {
+      if (tier === active) tier.setAttribute('aria-current', 'true');
+      else tier.removeAttribute('aria-current');
+    }
+  }
+
+  /**
+   * @param {string} message
+   */
+  #showMessage(message) {
+    const { message: element } = this.refs;
+
+    clearTimeout(this.#messageTimeout);
+    element.textContent = message;
+    this.#messageTimeout = window.setTimeout(() => (element.textContent = ''), MESSAGE_DURATION);
+  }
+
+  /**
+   * @returns {number} The quantity selected in the product form.
+   */
+  #getQuantity() {
+    const input = this.closest('form')?.querySelector('input[name="quantity"]');
+
+    return input instanceof HTMLInputElement ? Number(input.value) || 1 : 1;
+  }
+}
+
+if (!customElements.get('quantity-rules-component')) {
+  customElements.define('quantity-rules-component', QuantityRulesComponent);
+}
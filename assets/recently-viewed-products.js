@@ -1,3 +1,5 @@
+import { CustomizationDrafts } from '@theme/customization-drafts';
+
 /**
  * Updates the recently viewed products in localStorage.
  */
@@ -32,4 +34,16 @@ export class RecentlyViewed {
   static getProducts() {
     return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
   }
+
+  /**
+   * Retrieves the handles of the products with a customization in progress.
+   * @returns {Promise<string[]>} The product handles, empty if drafts can't be read.
+   */
+  static async getProductsWithDrafts() {
+    try {
+      return await CustomizationDrafts.getHandles();
+    } catch {
+      return [];
+    }
+  }
 }
@@ -0,0 +1,657 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartAddEvent, SavedForLaterUpdateEvent } from '@theme/events';
+import { fetchConfig, formatCents } from '@theme/utilities';
+import { ADDON_FOR_PROPERTY, ADDON_GROUP_PROPERTY } from '@theme/product-form';
+
+/**
+ * Keeps the cart lines customers save for later, with their properties and add-ons, so they can be moved back to
+ * the cart as they were.
+ *
+ * Shoppers who aren't logged in keep their list in localStorage. For logged-in customers the list is synced through
+ * an app proxy endpoint, which stores it in a customer metafield so it follows them between devices. A store that
+ * simulates the endpoint in the browser lets the flow be tried in the theme editor without the app.
+ */
+
+/**
+ * @typedef {object} CartLine
+ * @property {string} key - The key of the line.
+ * @property {number} product_id - The product ID.
+ * @property {number} variant_id - The variant ID.
+ * @property {number} quantity - The quantity.
+ * @property {number} final_price - The price of one unit, in cents.
+ * @property {string} product_title - The product title.
+ * @property {string | null} variant_title - The variant title, null for products without options.
+ * @property {string | null} image - The image URL.
+ * @property {string} url - The URL of the variant.
+ * @property {Record<string, string> | null} properties - The line item properties.
+ */
+
+/**
+ * @typedef {object} SavedLine
+ * @property {number} variantId - The variant ID.
+ * @property {number} quantity - The quantity.
+ * @property {number} price - The price of one unit when it was saved, in cents.
+ * @property {Record<string, string>} properties - The line item properties, including private ones.
+ */
+
+/**
+ * @typedef {SavedLine & {
+ *   id: string,
+ *   savedAt: number,
+ *   productId: number,
+ *   title: string,
+ *   variantTitle: string | null,
+ *   image: string | null,
+ *   url: string,
+ *   addons: SavedLine[]
+ * }} SavedItem
+ * A saved cart line. `addons` are the paid add-on lines that were added with it, with their quantity per unit of
+ * the item.
+ */
+
+/**
+ * @typedef {object} SavedItemsStore
+ * @property {() => Promise<SavedItem[]>} load - Loads the saved items.
+ * @property {(items: SavedItem[]) => Promise<void>} save - Replaces the saved items.
+ */
+
+/**
+ * The key of the list in localStorage.
+ */
+const STORAGE_KEY = 'savedForLater';
+
+/**
+ * The maximum number of saved items, older items are dropped.
+ */
+const MAX_ITEMS = 50;
+
+/**
+ * An error thrown when the saved items can't be loaded or saved.
+ */
+export class SavedItemsError extends Error {
+  /**
+   * @param {string} message - What failed.
+   * @param {number} [status] - The HTTP status of the failed request, if any.
+   */
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Keeps the saved items in localStorage.
+ *
+ * @implements {SavedItemsStore}
+ */
+export class LocalSavedItemsStore {
+  /** @type {string} */
+  #key;
+
+  /**
+   * @param {string} [key] - The key of the list in localStorage.
+   */
+  constructor(key = STORAGE_KEY) {
+    this.#key = key;
+  }
+
+  /**
+   * @returns {Promise<SavedItem[]>}
+   */
+  async load() {
+    try {
+      return parseItems(JSON.parse(localStorage.getItem(this.#key) || '[]'));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {SavedItem[]} items
+   */
+  async save(items) {
+    if (items.length) {
+      localStorage.setItem(this.#key, JSON.stringify(items));
+    } else {
+      localStorage.removeItem(this.#key);
+    }
+  }
+}
+
+/**
+ * Syncs the saved items of the logged-in customer through an app proxy endpoint.
+ *
+ * A `GET` to the endpoint responds with `{ items }`, and a JSON `POST` of `{ items }` replaces the list. The app
+ * identifies the customer from the `logged_in_customer_id` parameter Shopify adds to app proxy requests.
+ *
+ * @implements {SavedItemsStore}
+ */
+export class ProxySavedItemsStore {
+  /** @type {string} */
+  #endpoint;
+
+  /**
+   * @param {string} endpoint - The URL of the endpoint, e.g. `/apps/saved-for-later`.
+   */
+  constructor(endpoint) {
+    this.#endpoint = endpoint;
+  }
+
+  /**
+   * @returns {Promise<SavedItem[]>}
+   */
+  async load() {
+    const response = await fetch(this.#endpoint, { headers: { Accept: 'application/json' } }).catch(() => {
+      throw new SavedItemsError('Could not reach the saved items endpoint');
+    });
+
+    if (!response.ok) throw new SavedItemsError('Could not load the saved items', response.status);
+
+    const { items } = await response.json();
+
+    return parseItems(items);
+  }
+
+  /**
+   * @param {SavedItem[]} items
+   */
+  async save(items) {
+    const response = await fetch(this.#endpoint, fetchConfig('json', { body: JSON.stringify({ items }) })).catch(() => {
+      throw new SavedItemsError('Could not reach the saved items endpoint');
+    });
+
+    if (!response.ok) throw new SavedItemsError('Could not save the items', response.status);
+  }
+}
+
+/**
+ * Simulates the app proxy endpoint in the browser, to try syncing without the app.
+ * The list of each customer is kept in localStorage, apart from the list of the shopper before logging in.
+ *
+ * @implements {SavedItemsStore}
+ */
+export class MockSavedItemsStore {
+  /** @type {LocalSavedItemsStore} */
+  #storage;
+
+  /** @type {number} */
+  #delay;
+
+  /**
+   * @param {string} customerId - The ID of the logged-in customer.
+   * @param {object} [options]
+   * @param {number} [options.delay] - How long a request takes, in milliseconds.
+   */
+  constructor(customerId, { delay = 400 } = {}) {
+    this.#storage = new LocalSavedItemsStore(`${STORAGE_KEY}:customer:${customerId}`);
+    this.#delay = delay;
+  }
+
+  /**
+   * @returns {Promise<SavedItem[]>}
+   */
+  async load() {
+    await wait(this.#delay);
+    return this.#storage.load();
+  }
+
+  /**
+   * @param {SavedItem[]} items
+   */
+  async save(items) {
+    await wait(this.#delay);
+    await this.#storage.save(items);
+  }
+}
+
+/**
+ * The list of items saved for later.
+ *
+ * The list is loaded once per page and kept in memory. Every change dispatches a `SavedForLaterUpdateEvent` on the
+ * document right away, then is saved. When the endpoint can't be reached, the list is kept in localStorage, and
+ * merged into the customer's list on the next page load.
+ */
+export class SavedForLater {
+  /** @type {Promise<SavedItem[]> | null} */
+  static #items = null;
+
+  /** @type {LocalSavedItemsStore} */
+  static #local = new LocalSavedItemsStore();
+
+  /**
+   * Gets the saved items, from the most recently saved.
+   * @returns {Promise<SavedItem[]>}
+   */
+  static getItems() {
+    this.#items ??= this.#load();
+    return this.#items;
+  }
+
+  /**
+   * Saves an item, or adds its quantity to the same saved item.
+   * @param {Omit<SavedItem, 'id' | 'savedAt'>} item - The item.
+   * @returns {Promise<SavedItem>} The saved item.
+   */
+  static async add(item) {
+    const items = await this.getItems();
+    const existing = items.find((savedItem) => isSameLine(savedItem, item) && sameAddons(savedItem, item));
+
+    /** @type {SavedItem} */
+    const savedItem = existing
+      ? {
+          ...existing,
+          quantity: existing.quantity + item.quantity,
+          savedAt: Date.now(),
+        }
+      : { ...item, id: crypto.randomUUID(), savedAt: Date.now() };
+
+    const others = items.filter((other) => other.id !== savedItem.id);
+    await this.#write([savedItem, ...others].slice(0, MAX_ITEMS));
+
+    return savedItem;
+  }
+
+  /**
+   * Removes a saved item.
+   * @param {string} id - The ID of the saved item.
+   */
+  static async remove(id) {
+    const items = await this.getItems();
+    await this.#write(items.filter((item) => item.id !== id));
+  }
+
+  /**
+   * The store that syncs the list of the logged-in customer, null when the list stays in the browser.
+   * @returns {SavedItemsStore | null}
+   */
+  static get #remote() {
+    const { sync, endpoint, customerId } = Theme.savedForLater;
+    if (!customerId) return null;
+
+    if (sync === 'mock') return new MockSavedItemsStore(customerId);
+    if (sync === 'app_proxy' && endpoint) return new ProxySavedItemsStore(endpoint);
+
+    return null;
+  }
+
+  /**
+   * Loads the list, and merges the items saved in the browser into the list of the logged-in customer.
+   * @returns {Promise<SavedItem[]>}
+   */
+  static async #load() {
+    const remote = this.#remote;
+    const localItems = await this.#local.load();
+
+    if (!remote) return localItems;
+
+    try {
+      const remoteItems = await remote.load();
+      if (!localItems.length) return remoteItems;
+
+      const items = mergeItems(localItems, remoteItems);
+      await remote.save(items);
+      await this.#local.save([]);
+
+      return items;
+    } catch (error) {
+      console.error(error);
+      return localItems;
+    }
+  }
+
+  /**
+   * @param {SavedItem[]} items
+   */
+  static async #write(items) {
+    this.#items = Promise.resolve(items);
+    document.dispatchEvent(new SavedForLaterUpdateEvent(items));
+
+    const remote = this.#remote;
+
+    try {
+      if (!remote) return await this.#local.save(items);
+
+      await remote.save(items);
+      await this.#local.save([]);
+    } catch (error) {
+      console.error(error);
+
+      // Keep the list in the browser until it can be synced
+      await this.#local.save(items);
+    }
+  }
+}
+
+/**
+ * Creates a saved item from a line of the cart, with the paid add-ons that were added with it.
+ * @param {CartLine[]} lines - The lines of the cart.
+ * @param {string} key - The key of the line to save.
+ * @returns {Omit<SavedItem, 'id' | 'savedAt'> | null} The item, null if the line is no longer in the cart.
+ */
+export function createSavedItem(lines, key) {
+  const line = lines.find((item) => item.key === key);
+  if (!line) return null;
+
+  const group = line.properties?.[ADDON_GROUP_PROPERTY];
+  const addons = group ? lines.filter((item) => item.properties?.[ADDON_FOR_PROPERTY] === group) : [];
+
+  return {
+    productId: line.product_id,
+    variantId: line.variant_id,
+    quantity: line.quantity,
+    price: line.final_price,
+    properties: { ...line.properties },
+    title: line.product_title,
+    variantTitle: line.variant_title,
+    image: line.image,
+    url: line.url,
+    addons: addons.map((addon) => ({
+      variantId: addon.variant_id,
+      // Add-ons follow the quantity of their line, e.g. one "Extra pet" per unit
+      quantity: Math.round(addon.quantity / Math.max(1, line.quantity)),
+      price: addon.final_price,
+      properties: { ...addon.properties },
+    })),
+  };
+}
+
+/**
+ * @typedef {object} SavedForLaterRefs
+ * @property {HTMLElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The markup of a saved item.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the shop, with the currency in `data-currency`.
+ */
+
+/**
+ * A custom element that shows the items saved for later under the cart, with actions to move them back to the cart
+ * or remove them.
+ *
+ * Prices are the prices when the item was saved. The cart uses the current price when the item is moved back.
+ *
+ * @extends Component<SavedForLaterRefs>
+ */
+class SavedForLaterComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate', 'moneyFormat'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#onUpdate, { signal });
+
+    SavedForLater.getItems().then((items) => this.#render(items));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Adds a saved item back to the cart, with its properties and add-ons.
+   * @param {Event} event - The click event.
+   */
+  async moveToCart(event) {
+    const { item, button } = await this.#getEventItem(event);
+    if (!item || !button) return;
+
+    button.disabled = true;
+    this.#setError(button, '');
+
+    const sectionIds = [...document.querySelectorAll('cart-items-component')]
+      .map((element) => (element instanceof HTMLElement ? element.dataset.sectionId : undefined))
+      .filter(Boolean);
+
+    const body = JSON.stringify({
+      items: [item, ...item.addons].map((line, index) => ({
+        id: line.variantId,
+        quantity: index === 0 ? line.quantity : line.quantity * item.quantity,
+        properties: line.properties,
+      })),
+      sections: sectionIds.join(','),
+      sections_url: window.location.pathname,
+    });
+
+    try {
+      const response = await fetch(Theme.routes.cart_add_url, fetchConfig('json', { body }));
+      const cart = await response.json();
+
+      if (cart.status) {
+        button.disabled = false;
+        this.#setError(button, cart.description || cart.message);
+        return;
+      }
+
+      await SavedForLater.remove(item.id);
+
+      // The add response only has the added lines, the count comes from the whole cart
+      const cartResponse = await fetch(`${Theme.routes.cart_url}.js`);
+      if (!cartResponse.ok) throw new Error('Could not load the cart');
+
+      const updatedCart = await cartResponse.json();
+
+      this.dispatchEvent(
+        new CartAddEvent(updatedCart, String(item.variantId), {
+          source: 'saved-for-later-component',
+          itemCount: updatedCart.item_count,
+          productId: String(item.productId),
+          variantId: String(item.variantId),
+          sections: cart.sections,
+        })
+      );
+    } catch (error) {
+      console.error(error);
+      button.disabled = false;
+      this.#setError(button, Theme.translations.saved_for_later_error ?? '');
+    }
+  }
+
+  /**
+   * Removes a saved item.
+   * @param {Event} event - The click event.
+   */
+  async removeItem(event) {
+    const { item } = await this.#getEventItem(event);
+    if (item) await SavedForLater.remove(item.id);
+  }
+
+  /**
+   * @param {SavedForLaterUpdateEvent} event
+   */
+  #onUpdate = (event) => {
+    this.#render(event.detail.items);
+  };
+
+  /**
+   * @param {SavedItem[]} items
+   */
+  #render(items) {
+    const { list, itemTemplate } = this.refs;
+
+    list.replaceChildren(
+      ...items.flatMap((item) => {
+        const element = itemTemplate.content.firstElementChild?.cloneNode(true);
+        if (!(element instanceof HTMLElement)) return [];
+
+        element.dataset.id = item.id;
+        this.#fillItem(element, item);
+
+        return [element];
+      })
+    );
+  }
+
+  /**
+   * @param {HTMLElement} element - A copy of the item template.
+   * @param {SavedItem} item
+   */
+  #fillItem(element, item) {
+    /** @param {string} name */
+    const slots = (name) => element.querySelectorAll(`[data-slot~="${name}"]`);
+
+    slots('link').forEach((link) => {
+      if (link instanceof HTMLAnchorElement) link.href = item.url;
+    });
+    slots('title').forEach((title) => (title.textContent = item.title));
+    slots('variant').forEach((variant) => {
+      variant.textContent = item.variantTitle ?? '';
+      if (variant instanceof HTMLElement) variant.hidden = !item.variantTitle;
+    });
+
+    slots('image').forEach((image) => {
+      if (!(image instanceof HTMLImageElement)) return;
+
+      if (item.image) {
+        const url = new URL(item.image, window.location.origin);
+        url.searchParams.set('width', '160');
+        image.src = url.toString();
+        image.alt = item.title;
+      } else {
+        image.remove();
+      }
+    });
+
+    slots('properties').forEach((list) => {
+      const entries = Object.entries(item.properties).filter(([name, value]) => value && !name.startsWith('_'));
+
+      list.replaceChildren(
+        ...entries.map(([name, value]) => {
+          const property = document.createElement('div');
+          const term = document.createElement('dt');
+          const description = document.createElement('dd');
+
+          term.textContent = `${name}:`;
+          description.textContent = value;
+          property.append(term, description);
+
+          return property;
+        })
+      );
+
+      if (list instanceof HTMLElement) list.hidden = !entries.length;
+    });
+
+    const addonsPrice = item.addons.reduce((total, addon) => total + addon.price * addon.quantity, 0);
+    const price = this.#formatMoney((item.price + addonsPrice) * item.quantity);
+
+    slots('price').forEach((element) => (element.textContent = price));
+    slots('quantity').forEach((element) => {
+      const template = element instanceof HTMLElement ? (element.dataset.template ?? '') : '';
+      element.textContent = template.replace('[quantity]', item.quantity.toString());
+    });
+  }
+
+  /**
+   * Gets the saved item an action was triggered on.
+   * @param {Event} event
+   * @returns {Promise<{ item?: SavedItem, button?: HTMLButtonElement }>}
+   */
+  async #getEventItem(event) {
+    const button = event.target instanceof Element ? event.target.closest('button') : null;
+    const id = button?.closest('[data-id]')?.getAttribute('data-id');
+    if (!id || !button) return {};
+
+    const items = await SavedForLater.getItems();
+
+    return { item: items.find((item) => item.id === id), button };
+  }
+
+  /**
+   * @param {HTMLButtonElement} button - A button of the item.
+   * @param {string} message - The error, empty to hide it.
+   */
+  #setError(button, message) {
+    const error = button.closest('[data-id]')?.querySelector('[data-slot~="error"]');
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * @param {number} cents
+   * @returns {string}
+   */
+  #formatMoney(cents) {
+    const { moneyFormat } = this.refs;
+    return formatCents(cents, moneyFormat.content.textContent || undefined, moneyFormat.dataset.currency);
+  }
+}
+
+/**
+ * Keeps the valid items of a list loaded from storage.
+ * @param {unknown} items
+ * @returns {SavedItem[]}
+ */
+function parseItems(items) {
+  if (!Array.isArray(items)) return [];
+
+  return items
+    .filter((item) => item && typeof item.id === 'string' && Number(item.variantId) > 0 && Number(item.quantity) > 0)
+    .map((item) => ({ ...item, properties: item.properties ?? {}, addons: item.addons ?? [] }));
+}
+
+/**
+ * Merges two lists of saved items, the first list coming first. Items saved on both lists are kept once.
+ * @param {SavedItem[]} first
+ * @param {SavedItem[]} second
+ * @returns {SavedItem[]}
+ */
+function mergeItems(first, second) {
+  const items = [...first];
+
+  for (const item of second) {
+    if (!items.some((other) => other.id === item.id)) items.push(item);
+  }
+
+  return items.slice(0, MAX_ITEMS);
+}
+
+/**
+ * Whether two lines are the same variant with the same properties.
+ * @param {SavedLine} a
+ * @param {SavedLine} b
+ * @returns {boolean}
+ */
+function isSameLine(a, b) {
+  if (a.variantId !== b.variantId) return false;
+
+  // The add-on group is unique to each cart add, so it doesn't make lines different
+  const entries = (/** @type {SavedLine} */ line) =>
+    Object.entries(line.properties)
+      .filter(([name]) => name !== ADDON_GROUP_PROPERTY && name !== ADDON_FOR_PROPERTY)
+      .sort(([nameA], [nameB]) => nameA.localeCompare(nameB));
+
+  return JSON.stringify(entries(a)) === JSON.stringify(entries(b));
+}
+
+/**
+ * Whether two items have the same add-ons, in the same quantities.
+ * @param {Pick<SavedItem, 'addons'>} a
+ * @param {Pick<SavedItem, 'addons'>} b
+ * @returns {boolean}
+ */
+function sameAddons(a, b) {
+  return (
+    a.addons.length === b.addons.length &&
+    a.addons.every((addon, index) => {
+      const other = b.addons[index];
+      return other !== undefined && isSameLine(addon, other) && addon.quantity === other.quantity;
+    })
+  );
+}
+
+/**
+ * @param {number} duration - The duration, in milliseconds.
+ * @returns {Promise<void>}
+ */
+function wait(duration) {
+  return new Promise((resolve) => setTimeout(resolve, duration));
+}
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
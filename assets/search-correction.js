@@ -0,0 +1,79 @@
+import { Component } from '@theme/component';
+import { ORIGINAL_QUERY_PARAM, REWRITE_PARAM, searchQuery } from '@theme/search-query';
+
+/**
+ * A custom element that tells the customer when their search terms were rewritten, with a link to search for them
+ * instead, and suggests a correction for misspelled terms. Searches without results are retried with the correction.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} rewrittenMessage - The message shown when the terms were rewritten.
+ * @property {HTMLAnchorElement} originalLink - The link to search for the terms the customer typed.
+ * @property {HTMLElement} suggestionMessage - The message that suggests a correction.
+ * @property {HTMLAnchorElement} suggestionLink - The link to search for the correction.
+ * @extends {Component<Refs>}
+ */
+class SearchCorrectionComponent extends Component {
+  requiredRefs = ['rewrittenMessage', 'originalLink', 'suggestionMessage', 'suggestionLink'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render(true);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // Filtering re-renders the section, without retrying searches that no longer have results
+    this.#render(false);
+  }
+
+  /**
+   * Shows the message for the current search.
+   * @param {boolean} canRetry - Whether to search for the correction when the search has no results.
+   */
+  async #render(canRetry) {
+    const { terms = '', resultsCount } = this.dataset;
+    const url = new URL(window.location.href);
+    const originalTerms = url.searchParams.get(ORIGINAL_QUERY_PARAM);
+    const { rewrittenMessage, originalLink, suggestionMessage, suggestionLink } = this.refs;
+
+    url.searchParams.delete('page');
+
+    if (originalTerms) {
+      const originalUrl = new URL(url);
+      originalUrl.searchParams.set('q', originalTerms);
+      originalUrl.searchParams.delete(ORIGINAL_QUERY_PARAM);
+      originalUrl.searchParams.set(REWRITE_PARAM, 'false');
+
+      originalLink.href = originalUrl.toString();
+      originalLink.textContent = originalTerms;
+      rewrittenMessage.hidden = false;
+    }
+
+    if (!terms || url.searchParams.get(REWRITE_PARAM) === 'false') return;
+
+    const correctedTerms = await searchQuery.correct(terms);
+
+    // Synonyms that lead back to the terms the customer typed would retry forever
+    if (correctedTerms === terms || correctedTerms === originalTerms) return;
+
+    url.searchParams.set('q', correctedTerms);
+
+    if (canRetry && resultsCount === '0') {
+      url.searchParams.set(ORIGINAL_QUERY_PARAM, originalTerms ?? terms);
+      window.location.replace(url.toString());
+      return;
+    }
+
+    if (originalTerms) return;
+
+    suggestionLink.href = url.toString();
+    suggestionLink.textContent = correctedTerms;
+    suggestionMessage.hidden = false;
+  }
+}
+
+if (!customElements.get('search-correction-component')) {
+  customElements.define('search-correction-component', SearchCorrectionComponent);
+}
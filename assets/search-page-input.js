@@ -1,5 +1,6 @@
 import { Component } from '@theme/component';
 import { debounce } from '@theme/utilities';
+import { searchQuery } from '@theme/search-query';
 
 /**
  * A custom element that allows the user to clean a search input.
@@ -11,6 +12,36 @@ import { debounce } from '@theme/utilities';
 class SearchPageInputComponent extends Component {
   requiredRefs = ['searchPageInput'];
 
+  #controller = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // The form wraps the component, so its submit event doesn't reach the component's handlers
+    this.refs.searchPageInput.form?.addEventListener('submit', this.#handleSubmit, { signal: this.#controller.signal });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#controller.abort();
+  }
+
+  /**
+   * Searches for the synonyms of the terms, keeping the terms to offer searching for them instead.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  #handleSubmit = (event) => {
+    const { searchPageInput } = this.refs;
+    const terms = searchPageInput.value.trim();
+    const url = searchQuery.getSearchUrl(terms, searchPageInput.form ?? undefined);
+
+    if (!terms || url.searchParams.get('q') === terms) return;
+
+    event.preventDefault();
+    window.location.href = url.toString();
+  };
+
   /**
    * Handles the click event on the clear button and submits an empty search.
    * This clears the search input and resubmits the form if the page is not
@@ -0,0 +1,317 @@
+/**
+ * Rewrites search terms before they're sent to Shopify search: synonyms set by the merchant replace words, like
+ * `kitty` with `cat`, and misspelled words are corrected to the closest word of the product titles and tags.
+ *
+ * Synonyms apply to every search. Corrections are only searched for automatically when a search has no results,
+ * otherwise they're suggested.
+ */
+
+/**
+ * The search parameter with the terms the customer searched for, when the search was rewritten.
+ */
+export const ORIGINAL_QUERY_PARAM = 'original_q';
+
+/**
+ * The search parameter that keeps the terms as they are, set to `false`.
+ */
+export const REWRITE_PARAM = 'rewrite';
+
+/**
+ * Shorter words are too ambiguous to correct, `cap` is as close to `cat` as to `cup`.
+ */
+const MIN_CORRECTION_LENGTH = 4;
+
+/**
+ * Where the vocabulary is kept for the session, by URL.
+ */
+const VOCABULARY_STORAGE_KEY = 'search-vocabulary';
+
+/**
+ * The product titles and tags, rendered by templates/collection.search-vocabulary.liquid.
+ * @typedef {object} SearchVocabulary
+ * @property {string[]} titles
+ * @property {string[]} tags
+ */
+
+/**
+ * Reads synonyms entered by the merchant, one line per word or list of words, like `kitty: cat` or
+ * `pup, puppy: dog`.
+ * @param {string} value
+ * @returns {Map<string, string>} The replacements, by word or phrase in lowercase.
+ */
+export function parseSynonyms(value) {
+  /** @type {Map<string, string>} */
+  const synonyms = new Map();
+
+  for (const line of value.split(/\r?\n/)) {
+    const [words = '', replacement = '', ...rest] = line.split(':');
+    if (rest.length || !replacement.trim()) continue;
+
+    for (const word of words.split(',')) {
+      const key = normalize(word);
+      if (key) synonyms.set(key, replacement.trim());
+    }
+  }
+
+  return synonyms;
+}
+
+/**
+ * The restricted Damerau–Levenshtein distance between two words: the fewest insertions, deletions, substitutions and
+ * swaps of adjacent characters that turn one into the other.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max] - The distance above which to stop counting.
+ * @returns {number} The distance, or `max + 1` when it's above `max`.
+ */
+export function getEditDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  /** @type {number[][]} */
+  const distances = [];
+
+  for (let i = 0; i <= a.length; i++) {
+    /** @type {number[]} */
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        row[j] = j;
+        continue;
+      }
+
+      const previousRow = /** @type {number[]} */ (distances[i - 1]);
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min((previousRow[j] ?? 0) + 1, (row[j - 1] ?? 0) + 1, (previousRow[j - 1] ?? 0) + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, (distances[i - 2]?.[j - 2] ?? 0) + 1);
+      }
+
+      row[j] = distance;
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (i > 0 && rowMin > max) return max + 1;
+    distances.push(row);
+  }
+
+  return distances[a.length]?.[b.length] ?? 0;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text in lowercase, with single spaces between words.
+ */
+function normalize(text) {
+  return text.toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} The words of the text, in lowercase and without punctuation.
+ */
+function getWords(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+class SearchQuery {
+  /**
+   * The words of the product titles and tags, with how often they're used.
+   * @type {Promise<Map<string, number>> | null}
+   */
+  #vocabulary = null;
+
+  /**
+   * @type {Map<string, string> | null}
+   */
+  #synonyms = null;
+
+  /**
+   * Whether the merchant turned query rewriting on.
+   * @returns {boolean}
+   */
+  get enabled() {
+    return Theme.search.rewrite;
+  }
+
+  /**
+   * The synonyms of the theme settings.
+   * @returns {Map<string, string>}
+   */
+  get synonyms() {
+    this.#synonyms ??= parseSynonyms(Theme.search.synonyms);
+    return this.#synonyms;
+  }
+
+  /**
+   * Replaces the words and phrases of a search that have a synonym.
+   * @param {string} terms
+   * @returns {string} The terms to search for.
+   */
+  applySynonyms(terms) {
+    if (!this.enabled || !this.#isRewritable(terms) || !this.synonyms.size) return terms;
+
+    const words = terms.trim().split(/\s+/);
+    const longestSynonym = Math.max(...[...this.synonyms.keys()].map((key) => key.split(' ').length));
+    /** @type {string[]} */
+    const rewritten = [];
+    let hasSynonyms = false;
+
+    for (let i = 0; i < words.length; i++) {
+      let replaced = false;
+
+      // Longer phrases first, so `guinea pig` isn't replaced word by word
+      for (let length = Math.min(longestSynonym, words.length - i); length > 0 && !replaced; length--) {
+        const phrase = words.slice(i, i + length);
+        const synonym = this.synonyms.get(getWords(phrase.join(' ')).join(' '));
+        if (!synonym) continue;
+
+        rewritten.push(synonym);
+        i += length - 1;
+        replaced = hasSynonyms = true;
+      }
+
+      if (!replaced) rewritten.push(/** @type {string} */ (words[i]));
+    }
+
+    return hasSynonyms ? rewritten.join(' ') : terms;
+  }
+
+  /**
+   * Replaces the synonyms of a search and corrects the words that aren't in the product titles or tags.
+   * @param {string} terms
+   * @returns {Promise<string>} The corrected terms, the same terms when there's nothing to correct.
+   */
+  async correct(terms) {
+    const rewritten = this.applySynonyms(terms);
+    if (!this.enabled || !this.#isRewritable(rewritten)) return rewritten;
+
+    const vocabulary = await this.#loadVocabulary();
+    if (!vocabulary.size) return rewritten;
+
+    return rewritten
+      .split(/(\s+)/)
+      .map((word) => {
+        const [lowercaseWord] = getWords(word);
+        if (!lowercaseWord || lowercaseWord !== word.toLowerCase()) return word;
+
+        return this.#getClosestWord(lowercaseWord, vocabulary) ?? word;
+      })
+      .join('');
+  }
+
+  /**
+   * Builds the URL of the search page for terms, with their synonyms and the other fields of a search form.
+   * @param {string} terms
+   * @param {HTMLFormElement} [form]
+   * @returns {URL}
+   */
+  getSearchUrl(terms, form) {
+    const url = new URL(Theme.routes.search_url, location.origin);
+
+    if (form) {
+      for (const [name, value] of new FormData(form)) {
+        if (typeof value === 'string') url.searchParams.append(name, value);
+      }
+    }
+
+    const query = this.applySynonyms(terms);
+    url.searchParams.set('q', query);
+    if (query !== terms) url.searchParams.set(ORIGINAL_QUERY_PARAM, terms);
+
+    return url;
+  }
+
+  /**
+   * Searches with operators, quotes or fields, like `id:1234 OR id:5678`, are sent as they are.
+   * @param {string} terms
+   * @returns {boolean}
+   */
+  #isRewritable(terms) {
+    return !/["():*]|\b(?:AND|OR|NOT)\b/.test(terms);
+  }
+
+  /**
+   * @param {string} word - A word in lowercase.
+   * @param {Map<string, number>} vocabulary
+   * @returns {string | null} The closest word of the vocabulary, null when the word is in it or none is close.
+   */
+  #getClosestWord(word, vocabulary) {
+    if (vocabulary.has(word) || word.length < MIN_CORRECTION_LENGTH || /^\d+$/.test(word)) return null;
+
+    const maxDistance = word.length < 8 ? 1 : 2;
+    let closestWord = null;
+    let closestDistance = maxDistance + 1;
+    let closestCount = 0;
+
+    for (const [candidate, count] of vocabulary) {
+      const distance = getEditDistance(word, candidate, maxDistance);
+
+      // The most used word wins between words as close
+      if (distance < closestDistance || (distance === closestDistance && count > closestCount)) {
+        closestWord = candidate;
+        closestDistance = distance;
+        closestCount = count;
+      }
+    }
+
+    return closestDistance <= maxDistance ? closestWord : null;
+  }
+
+  /**
+   * Fetches the vocabulary once per session.
+   * @returns {Promise<Map<string, number>>} The vocabulary, empty when it couldn't be fetched.
+   */
+  #loadVocabulary() {
+    const url = Theme.search.vocabularyUrl;
+
+    this.#vocabulary ??= this.#fetchVocabulary(url)
+      .then(({ titles, tags }) => {
+        /** @type {Map<string, number>} */
+        const vocabulary = new Map();
+
+        for (const word of [...titles, ...tags].flatMap(getWords)) {
+          if (word.length >= MIN_CORRECTION_LENGTH - 1) vocabulary.set(word, (vocabulary.get(word) ?? 0) + 1);
+        }
+
+        return vocabulary;
+      })
+      .catch((error) => {
+        console.error(error);
+        return new Map();
+      });
+
+    return this.#vocabulary;
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise<SearchVocabulary>}
+   */
+  async #fetchVocabulary(url) {
+    try {
+      const { url: storedUrl, vocabulary } = JSON.parse(sessionStorage.getItem(VOCABULARY_STORAGE_KEY) ?? '{}');
+      if (storedUrl === url && vocabulary) return vocabulary;
+    } catch (_) {
+      // Fetch it again
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to fetch the search vocabulary: ${response.status}`);
+
+    /** @type {SearchVocabulary} */
+    const vocabulary = await response.json();
+
+    try {
+      sessionStorage.setItem(VOCABULARY_STORAGE_KEY, JSON.stringify({ url, vocabulary }));
+    } catch (_) {
+      // The storage is full or disabled, the vocabulary is fetched again on the next page
+    }
+
+    return vocabulary;
+  }
+}
+
+export const searchQuery = new SearchQuery();
@@ -71,6 +71,8 @@ export class Slideshow extends Component {
       if (!this.isConnected) return;
     }
 
+    this.#ready = true;
+
     const slideCount = this.slides?.length || 0;
     slideCount <= 1 ? this.#setupSlideshowWithoutControls() : this.#setupSlideshow();
   }
@@ -78,6 +80,8 @@ export class Slideshow extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
 
+    this.#ready = false;
+
     if (this.#scroll) {
       const { scroller } = this.refs;
       scroller.removeEventListener('mousedown', this.#handleMouseDown);
@@ -230,6 +234,118 @@ export class Slideshow extends Component {
     );
   }
 
+  /**
+   * Adds a slide that isn't part of the rendered markup, e.g. a preview drawn in the browser.
+   * A matching dot or thumbnail is added and the controls are renumbered.
+   * @param {HTMLElement} slide - The slide to add, with a `ref="slides[]"` attribute.
+   * @param {Object} [options] - The options for the new slide.
+   * @param {number} [options.index=0] - The position of the new slide.
+   * @param {Node} [options.thumbnail] - The content of the matching thumbnail.
+   */
+  addSlide(slide, options = {}) {
+    const { index = 0, thumbnail } = options;
+    const { scroller, slides = [], dots, thumbnails } = this.refs;
+    const currentSlide = this.slides?.[this.current];
+    const reference = slides[index];
+    const last = slides[slides.length - 1];
+
+    if (reference) {
+      reference.before(slide);
+    } else if (last) {
+      last.after(slide);
+    } else {
+      scroller.append(slide);
+    }
+
+    for (const controls of [dots, thumbnails]) {
+      const template = controls?.[0];
+      if (!controls || !template) continue;
+
+      const item = /** @type {HTMLElement} */ (getControlItem(template).cloneNode(true));
+      const control = item.matches('[ref]') ? item : item.querySelector('[ref]');
+
+      if (control instanceof HTMLElement) {
+        control.removeAttribute('aria-selected');
+        control.style.removeProperty('animation-timeline');
+        if (controls === thumbnails && thumbnail) control.replaceChildren(thumbnail);
+      }
+
+      const next = controls[index];
+      if (next) {
+        getControlItem(next).before(item);
+      } else {
+        getControlItem(/** @type {HTMLElement} */ (controls[controls.length - 1])).after(item);
+      }
+    }
+
+    this.#syncSlides(currentSlide);
+  }
+
+  /**
+   * Removes a slide added with `addSlide`, along with its dot or thumbnail.
+   * @param {HTMLElement} slide - The slide to remove.
+   */
+  removeSlide(slide) {
+    const index = this.refs.slides?.indexOf(slide) ?? -1;
+    if (index === -1) return;
+
+    const currentSlide = this.slides?.[this.current];
+
+    for (const controls of [this.refs.dots, this.refs.thumbnails]) {
+      const control = controls?.[index];
+      if (control) getControlItem(control).remove();
+    }
+
+    slide.remove();
+
+    this.#syncSlides(currentSlide === slide ? undefined : currentSlide);
+  }
+
+  /**
+   * Brings the refs, controls and scroll position back in sync after slides were added or removed.
+   * @param {HTMLElement} [currentSlide] - The slide that was current before the change.
+   */
+  #syncSlides(currentSlide) {
+    // Refs are normally refreshed by a mutation observer, after this task
+    this.updatedCallback();
+
+    const { slides = [] } = this;
+    const { dots, thumbnails, current } = this.refs;
+
+    for (const controls of [dots, thumbnails]) {
+      controls?.forEach((control, i) => {
+        control.setAttribute('on:click', `/select/${i}`);
+        if (controls === dots) control.textContent = `${i + 1}`;
+
+        // The labels read "Slide 1 of 5" in the shop's language, only the numbers change
+        const label = control.getAttribute('aria-label');
+        const numbers = [i + 1, controls.length];
+        if (label)
+          control.setAttribute(
+            'aria-label',
+            label.replace(/\d+/g, () => `${numbers.shift() ?? ''}`)
+          );
+      });
+    }
+
+    const total = current?.parentElement?.lastChild;
+    if (total?.nodeType === Node.TEXT_NODE) total.textContent = `${slides.length}`;
+
+    if (this.#ready && !this.#scroll && slides.length > 1) {
+      this.#setupSlideshow();
+      return;
+    }
+
+    const index = currentSlide ? slides.indexOf(currentSlide) : -1;
+    this.current = clamp(index, 0, Math.max(0, slides.length - 1));
+
+    const slide = slides[this.current];
+    if (slide) {
+      slide.setAttribute('aria-hidden', 'false');
+      this.#scroll?.to(slide, { instant: true });
+    }
+  }
+
   /**
    * Advances to the next slide.
    * @param {Event} [event] - The event that triggered the next slide.
@@ -411,6 +527,12 @@ export class Slideshow extends Component {
    */
   #interval = undefined;
 
+  /**
+   * Whether the slides have been counted and the slideshow set up accordingly.
+   * @type {boolean}
+   */
+  #ready = false;
+
   /**
    * The Scroller instance that manages scrolling.
    * @type {Scroller}
@@ -784,6 +906,15 @@ export class Slideshow extends Component {
   }
 }
 
+/**
+ * Gets the element holding a slideshow control, dots are wrapped in a list item.
+ * @param {HTMLElement} control - The dot or thumbnail.
+ * @returns {HTMLElement}
+ */
+function getControlItem(control) {
+  return control.parentElement instanceof HTMLLIElement ? control.parentElement : control;
+}
+
 if (!customElements.get('slideshow-component')) {
   customElements.define('slideshow-component', Slideshow);
 }